@@ -8,11 +8,30 @@ import {
   Sass
 } from "@gesslar/toolkit"
 import c from "@gesslar/colours"
-import {detectAgent} from "@skarab/detect-package-manager"
+import {getPackageManagerInfo as detectPackageManager} from "../src/package-manager.js"
 
-const PROJECT_ROOT = DirectoryObject.fromCwd()
-const SRC_DIR = PROJECT_ROOT.getDirectory("src")
 const PACKAGE_NAME = "@gesslar/uglier"
+// Lint blocks every generated config starts with; any other lints-* block
+// (e.g. lints-ts) is opt-in and can be passed as a target
+const DEFAULT_TARGETS = ["lints-js", "lints-jsdoc"]
+// Blocks `init` adds after the requested targets; unlike DEFAULT_TARGETS they
+// stay regular targets, so `remove config-files` works
+const INIT_EXTRAS = ["config-files"]
+// Targets that stand for several blocks, e.g. one per Electron process
+const TARGET_GROUPS = {
+  "electron": ["electron-main", "electron-preload", "electron-renderer"],
+  "vscode-extension": ["vscode-extension-host", "vscode-webview"],
+}
+
+/**
+ * Replace target group names with the blocks they stand for
+ *
+ * @param {Array<string>} targets - Targets as given on the command line
+ * @returns {Array<string>} Block names, without duplicates
+ */
+function expandTargetGroups(targets) {
+  return [...new Set(targets.flatMap(t => TARGET_GROUPS[t] ?? [t]))]
+}
 
 /**
  * Parse targets from config file's with array
@@ -45,25 +64,13 @@ function parseTargetsFromConfig(content) {
 }
 
 /**
- * Get install command for detected package manager
+ * Get install command for detected package manager. `uglify()` suggests the
+ * same command when a block's plugin is missing.
  *
  * @returns {Promise<{manager: string, installCmd: string}>} Package manager info
  */
 export async function getPackageManagerInfo() {
-  const agent = await detectAgent()
-  const manager = agent?.name || "npm"
-
-  const commands = {
-    npm: "npm i -D --legacy-peer-deps",
-    pnpm: "pnpm add -D --no-strict-peer-dependencies",
-    yarn: "yarn add -D",
-    bun: "bun add -d"
-  }
-
-  return {
-    manager,
-    installCmd: commands[manager] || commands.npm
-  }
+  return detectPackageManager()
 }
 
 /**
@@ -103,45 +110,54 @@ export function exec(cmd) {
 }
 
 /**
- * Get available configs from the source file
+ * Import uglier, preferring the project's installed copy (the one its
+ * eslint.config.js will use) over the copy this CLI ships with
+ *
+ * @param {string} [feature] - Export the installed copy must have
+ * @returns {Promise<object>} The uglier module
+ */
+async function importUglier(feature = "describeConfigs") {
+  const installed = DirectoryObject.fromCwd()
+    .getDirectory(`node_modules/${PACKAGE_NAME}/src`)
+    .getFile("uglier.js")
+  const uglier = await installed.exists
+    ? await import(installed.url.href)
+    : null
+
+  // Older versions can't tell us anything
+  return uglier?.[feature] ? uglier : import("../src/uglier.js")
+}
+
+/**
+ * Get available configs from uglier's block metadata
  *
- * @returns {Promise<Array<{name: string, description: string, files: string}>|null>} Available configs
+ * @returns {Promise<Array<{name: string, description: string, category: string, files: string|null}>|null>} Available configs
  */
 export async function getAvailableConfigs() {
   try {
-    // Try to read from installed package or local source
-    const cwd = DirectoryObject.fromCwd()
-    const installedDir = cwd.getDirectory(`node_modules/${PACKAGE_NAME}/src`)
-    const localSource = SRC_DIR.getFile("uglier.js")
-    const installedSource = installedDir.getFile("uglier.js")
-
-    let uglierFile = null
-
-    if(await localSource.exists)
-      uglierFile = localSource
-    else if(await installedSource.exists)
-      uglierFile = installedSource
-
-    if(!uglierFile)
-      return null
-
-    const source = await uglierFile.read()
-
-    // Extract config names, descriptions, and default files
-    const configs = []
-    // Match individual config blocks within CONFIGS object
-    const configBlockRegex = /\/\*\*\s*\n\s*\*\s*([^\n@*]+?)\s*\n(?:\s*\*[^\n]*\n)*?\s*\*\/\s*\n\s*["']([^"']+)["']:\s*\([^)]*\)\s*=>\s*\{[^}]*?files\s*=\s*(\[[^\]]+\])/g
-    let match
-
-    while((match = configBlockRegex.exec(source)) !== null) {
-      configs.push({
-        name: match[2],
-        description: match[1].trim(),
-        files: match[3]
-      })
-    }
+    const {describeConfigs} = await importUglier()
+
+    return describeConfigs().map(({name, description, category, files}) => ({
+      name,
+      description,
+      category,
+      files: files && `[${files.map(file => JSON.stringify(file)).join(", ")}]`,
+    }))
+  } catch {
+    return null
+  }
+}
+
+/**
+ * Get available presets from uglier's preset metadata
+ *
+ * @returns {Promise<Array<{name: string, description: string, blocks: Array<string>}>|null>} Available presets
+ */
+export async function getAvailablePresets() {
+  try {
+    const {describePresets} = await importUglier("describePresets")
 
-    return configs
+    return describePresets()
   } catch {
     return null
   }
@@ -190,9 +206,9 @@ export async function generateConfig(targets = []) {
   // Get available configs dynamically
   const configs = await getAvailableConfigs()
   const environmentTargets = configs
-    ? configs.filter(c => !c.name.startsWith("lints-") && c.name !== "languageOptions" && !c.name.endsWith("-override"))
+    ? configs.filter(c => !DEFAULT_TARGETS.includes(c.name) && c.name !== "languageOptions" && c.category !== "override")
       .map(c => c.name)
-    : ["node", "web", "react", "tauri", "vscode-extension"]
+    : ["node", "web", "react", "tauri", "vscode-extension-host", "vscode-webview"]
 
   // If no targets specified, show error with available options
   if(targets.length === 0) {
@@ -200,11 +216,19 @@ export async function generateConfig(targets = []) {
     console.log()
     console.log(c`Available targets: ${environmentTargets.map(t => c`{F172}${t}{/}`).join(", ")}`)
     console.log()
-    console.log(c`{F244}Example: npx @gesslar/uglier init ${environmentTargets[0] || "node"}{/}`)
+    // Suggest the bun environment to projects managed by Bun
+    const {manager} = await getPackageManagerInfo()
+    const example = manager === "bun" && environmentTargets.includes("bun")
+      ? "bun"
+      : environmentTargets.find(t => !t.startsWith("lints-")) || "node"
+
+    console.log(c`{F244}Example: npx @gesslar/uglier init ${example}{/}`)
 
     return false
   }
 
+  targets = expandTargetGroups(targets)
+
   // Validate targets
   const validTargets = environmentTargets
   const invalidTargets = targets.filter(t => !validTargets.includes(t))
@@ -217,9 +241,11 @@ export async function generateConfig(targets = []) {
   }
 
   // Build the config with comments
-  const withArray = ["lints-js", "lints-jsdoc", ...targets]
+  const withArray = [
+    ...new Set([...DEFAULT_TARGETS, ...targets, ...INIT_EXTRAS])
+  ]
 
-  // Get file patterns dynamically from source
+  // Get default file patterns from the block metadata
   const allConfigs = await getAvailableConfigs()
   const filePatterns = {}
 
@@ -285,9 +311,9 @@ export async function addToConfig(targets = []) {
   // Get available configs dynamically
   const configs = await getAvailableConfigs()
   const environmentTargets = configs
-    ? configs.filter(c => !c.name.startsWith("lints-") && c.name !== "languageOptions" && !c.name.endsWith("-override"))
+    ? configs.filter(c => !DEFAULT_TARGETS.includes(c.name) && c.name !== "languageOptions" && c.category !== "override")
       .map(c => c.name)
-    : ["node", "web", "react", "tauri", "vscode-extension"]
+    : ["node", "web", "react", "tauri", "vscode-extension-host", "vscode-webview"]
 
   // If no targets specified, show error with available options
   if(targets.length === 0) {
@@ -300,6 +326,8 @@ export async function addToConfig(targets = []) {
     return false
   }
 
+  targets = expandTargetGroups(targets)
+
   // Validate targets
   const validTargets = environmentTargets
   const invalidTargets = targets.filter(t => !validTargets.includes(t))
@@ -410,9 +438,9 @@ export async function removeFromConfig(targets = []) {
   // Get available configs dynamically
   const configs = await getAvailableConfigs()
   const environmentTargets = configs
-    ? configs.filter(c => !c.name.startsWith("lints-") && c.name !== "languageOptions" && !c.name.endsWith("-override"))
+    ? configs.filter(c => !DEFAULT_TARGETS.includes(c.name) && c.name !== "languageOptions" && c.category !== "override")
       .map(c => c.name)
-    : ["node", "web", "react", "tauri", "vscode-extension"]
+    : ["node", "web", "react", "tauri", "vscode-extension-host", "vscode-webview"]
 
   // If no targets specified, show error with available options
   if(targets.length === 0) {
@@ -438,6 +466,12 @@ export async function removeFromConfig(targets = []) {
     return {success: false, removedTargets: [], removedOptions: []}
   }
 
+  // A group listed under its own name (e.g. the old vscode-extension block)
+  // is removed as written rather than expanded
+  targets = [...new Set(targets.flatMap(t => existingTargets.includes(t)
+    ? [t]
+    : expandTargetGroups([t])))]
+
   // Find which targets exist and can be removed
   const targetsToRemove = targets.filter(t => existingTargets.includes(t))
   const notFoundTargets = targets.filter(t => !existingTargets.includes(t))
@@ -570,6 +604,74 @@ export async function removeFromConfig(targets = []) {
   return {success: true, removedTargets: targetsToRemove, removedOptions}
 }
 
+/**
+ * Explain where the rules ESLint uses for a file come from, using the
+ * project's eslint.config.js
+ *
+ * @param {string} file - File to explain
+ * @param {string} [rule] - Only explain this rule
+ * @returns {Promise<object|false>} The explanation, or false on failure
+ */
+export async function explainFile(file, rule) {
+  const cwd = DirectoryObject.fromCwd()
+  const configFile = cwd.getFile("eslint.config.js")
+
+  if(!file) {
+    console.log(c`{F214}Error:{/} No file specified`)
+    console.log(c`{F244}Example: npx @gesslar/uglier explain src/index.js{/}`)
+
+    return false
+  }
+
+  if(!(await configFile.exists)) {
+    console.log(c`{F214}Error:{/} {<B}eslint.config.js{B>} not found`)
+    console.log(c`Use {<B}npx @gesslar/uglier init <targets>{B>} to create one first`)
+
+    return false
+  }
+
+  const {explain} = await importUglier("explain")
+  const {default: configs} = await import(configFile.url.href)
+  const explanation = explain([await configs].flat(Infinity), file)
+
+  if(explanation.ignored) {
+    console.log(c`{<B}${explanation.file}{B>} is ignored by eslint.config.js`)
+
+    return explanation
+  }
+
+  console.log(c`{<B}${explanation.file}{B>}`)
+  console.log(c`{F244}Blocks: ${explanation.blocks.join(", ") || "none"}{/}`)
+  console.log()
+
+  const rules = Object.entries(explanation.rules)
+    .filter(([name]) => !rule || name === rule)
+
+  if(rules.length === 0) {
+    console.log(rule
+      ? c`{F172}${rule}{/} is not set for this file`
+      : "No rules are set for this file")
+
+    return explanation
+  }
+
+  const describe = ({severity, options}) => options.length > 0
+    ? `${severity} ${JSON.stringify(options)}`
+    : severity
+
+  for(const [name, setting] of rules) {
+    const via = setting.override ? "overrides of " : ""
+
+    console.log(c`  {<B}${name}{B>} ${describe(setting)} {F244}(${via}${setting.block}){/}`)
+
+    for(const previous of setting.overridden.toReversed()) {
+      console.log(c`    {F244}replaces ${describe(previous)} from ${previous.block}{/}`)
+    }
+  }
+
+  return explanation
+}
+
 /**
  * Show help information
  */
@@ -583,6 +685,7 @@ export async function showHelp() {
   console.log(c`  {<B}npx @gesslar/uglier init <targets>{B>}    Generate eslint.config.js with targets`)
   console.log(c`  {<B}npx @gesslar/uglier add <targets>{B>}     Add config blocks to existing eslint.config.js`)
   console.log(c`  {<B}npx @gesslar/uglier remove <targets>{B>}  Remove config blocks from existing eslint.config.js`)
+  console.log(c`  {<B}npx @gesslar/uglier explain <file> [rule]{B>}  Show which blocks set the rules for a file`)
   console.log(c`  {<B}npx @gesslar/uglier --help{B>}            Show this help`)
   console.log()
   console.log(c`Learn how to bastardise the already beautiful defaults to your heart's desire at https://uglier.gesslar.io`)
@@ -595,12 +698,33 @@ export async function showHelp() {
     console.log()
 
     for(const {name, description} of configs) {
-      console.log(c`  {<B}${name.padEnd(20)}{B>} ${description}`)
+      console.log(c`  {<B}${name.padEnd(22)}{B>} ${description}`)
     }
   } else {
     console.log("Install the package to see available config blocks.\n")
   }
 
+  const presets = await getAvailablePresets()
+
+  if(presets && presets.length > 0) {
+    console.log()
+    console.log(c`Available presets:`)
+    console.log()
+
+    for(const {name, description, blocks} of presets) {
+      console.log(c`  {<B}${name.padEnd(24)}{B>} ${description}`)
+      console.log(c`  {F244}${"".padEnd(24)} ${blocks.join(", ")}{/}`)
+    }
+  }
+
+  console.log()
+  console.log(c`Target groups:`)
+  console.log()
+
+  for(const [name, blocks] of Object.entries(TARGET_GROUPS)) {
+    console.log(c`  {<B}${name.padEnd(22)}{B>} ${blocks.join(", ")}`)
+  }
+
   console.log()
   console.log(`Documentation at https://uglier.io/.`)
 }
@@ -1,13 +1,17 @@
 #!/usr/bin/env node
 
 /**
- * Extracts each config factory from uglier.js and generates
- * markdown pages for the "Nerds" documentation section.
+ * Generates a markdown page per config block for the "Nerds" documentation
+ * section. What each block is, does and accepts comes from
+ * `describeConfigs()`; the factory source is looked up by block name.
+ * Anything that can't be found in the source stops the script, so a
+ * formatting change fails `docs` instead of publishing a broken page.
  */
 
-import {readFileSync, writeFileSync, mkdirSync} from "node:fs"
+import {readFileSync, writeFileSync, mkdirSync, rmSync} from "node:fs"
 import {dirname, resolve} from "node:path"
 import {fileURLToPath} from "node:url"
+import {describeConfigs} from "../../src/uglier.js"
 
 const __dirname = dirname(fileURLToPath(import.meta.url))
 const srcPath = resolve(__dirname, "../../src/uglier.js")
@@ -15,51 +19,68 @@ const outDir = resolve(__dirname, "../src/content/docs/nerds")
 
 const source = readFileSync(srcPath, "utf-8")
 
-// Extract the CONFIGS block
-const configsStart = source.indexOf("const CONFIGS = {")
-const exportStart = source.indexOf("\nexport default function")
-const configsBlock = source.slice(configsStart, exportStart)
+const exportsStart = source.indexOf("\nexport default function")
 
-// Also grab the export function and availableConfigs
-const exportsBlock = source.slice(exportStart).trim()
+if(exportsStart === -1)
+  throw new Error("Can't find `export default function` in src/uglier.js")
 
-// Parse individual config factories from the CONFIGS block
-const configs = []
-const configRegex = /(?<jsdoc>\/\*\*[\s\S]*?\*\/)\s*"(?<name>[^"]+)":\s*\((?<params>[^)]*)\)\s*=>\s*\{/g
+// The main export function and everything after it
+const exportsBlock = source.slice(exportsStart).trim()
 
-let match
-while((match = configRegex.exec(configsBlock)) !== null) {
-  const name = match.groups.name
-  const startIdx = match.index
+/**
+ * Find a block's factory, JSDoc included, in the CONFIGS object
+ *
+ * @param {string} name - Block name
+ * @returns {string} Factory source
+ * @throws {Error} When the factory can't be located in uglier.js
+ */
+function factorySource(name) {
+  const start = source.indexOf(`\n  ${JSON.stringify(name)}: (`)
+  const docStart = source.lastIndexOf("\n  /**", start)
+  const bodyStart = source.indexOf("{", source.indexOf("=>", start))
+
+  if(start === -1 || docStart === -1 || bodyStart === -1
+    || source.lastIndexOf("\n  },", start) > docStart) {
+    throw new Error(
+      `Can't find the factory of "${name}" in src/uglier.js. It must be ` +
+      `written as \`  "${name}": (options = {}) => {\` after its JSDoc.`
+    )
+  }
 
-  // Find the end of this factory - look for the next config or end of CONFIGS
-  // Each factory ends with `  },` (2-space indent, closing brace, comma) or `  }` at end
   let depth = 0
-  let factoryBodyStart = configsBlock.indexOf("{", match.index + match[0].length - 1)
-  let i = factoryBodyStart
-
-  for(; i < configsBlock.length; i++) {
-    if(configsBlock[i] === "{") depth++
-    if(configsBlock[i] === "}") {
-      depth--
-      if(depth === 0) break
-    }
+
+  for(let i = bodyStart; i < source.length; i++) {
+    if(source[i] === "{")
+      depth++
+
+    if(source[i] === "}" && --depth === 0)
+      return source.slice(docStart, i + 1).trim()
   }
 
-  const fullBlock = configsBlock.slice(startIdx, i + 1).trim()
-  configs.push({name, code: fullBlock})
+  throw new Error(`The factory of "${name}" in src/uglier.js never closes`)
 }
 
+const code = values => values?.length
+  ? values.map(value => `\`${value}\``).join(", ")
+  : "none"
+
 // Map config names to their configs doc slugs
 const configSlugMap = {
   "languageOptions": "language-options",
+  "electron-main": "electron",
+  "electron-preload": "electron",
+  "electron-renderer": "electron",
+  "vscode-extension-host": "vscode-extension",
+  "vscode-webview": "vscode-extension",
 }
 
-// Generate markdown files
-mkdirSync(outDir, {recursive: true})
+const configs = describeConfigs()
+// Every page is rendered before anything is written, so a block that can't
+// be found leaves the existing pages alone
+const pages = []
 
 let order = 1
-for(const {name, code} of configs) {
+for(const {name, description, category, files, ignores, schema, plugins, rules} of configs) {
   const padded = String(order).padStart(2, "0")
   const filename = `${padded}-${name}.md`
   const configSlug = configSlugMap[name] || name
@@ -73,19 +94,29 @@ sidebar:
 
 > [Back to config docs](/configs/${configSlug}/)
 
+${description ?? ""}
+
+| | |
+|---|---|
+| Category | ${category} |
+| Default files | ${code(files)} |
+| Default ignores | ${code(ignores)} |
+| Plugins | ${code(plugins)} |
+| Options | ${code(schema && Object.keys(schema))} |
+| Rules | ${code(rules)} |
+
 Source extracted from \`src/uglier.js\`.
 
 \`\`\`js
-${code}
+${factorySource(name)}
 \`\`\`
 `
 
-  writeFileSync(resolve(outDir, filename), md)
-  console.log(`  wrote ${filename}`)
+  pages.push([filename, md])
   order++
 }
 
-// Write the exports page
+// The exports page
 const exportsMd = `---
 title: "exports"
 slug: nerds/exports
@@ -100,7 +131,16 @@ ${exportsBlock}
 \`\`\`
 `
 
-writeFileSync(resolve(outDir, `${String(order).padStart(2, "0")}-exports.md`), exportsMd)
-console.log(`  wrote ${String(order).padStart(2, "0")}-exports.md`)
+pages.push([`${String(order).padStart(2, "0")}-exports.md`, exportsMd])
+
+// Start from a clean directory so pages for renamed or removed blocks don't
+// linger
+rmSync(outDir, {recursive: true, force: true})
+mkdirSync(outDir, {recursive: true})
+
+for(const [filename, md] of pages) {
+  writeFileSync(resolve(outDir, filename), md)
+  console.log(`  wrote ${filename}`)
+}
 
 console.log(`\nGenerated ${configs.length + 1} nerd pages in src/content/docs/nerds/`)
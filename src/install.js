@@ -12,14 +12,16 @@
  * - npx @gesslar/uglier init <targets>    - Generate eslint.config.js with targets
  * - npx @gesslar/uglier add <targets>     - Add config blocks to existing eslint.config.js
  * - npx @gesslar/uglier remove <targets>  - Remove config blocks from existing eslint.config.js
+ * - npx @gesslar/uglier explain <file> [rule] - Show which blocks set the rules for a file
  * - npx @gesslar/uglier --help            - Show help
  *
  * Installation does:
  * 1. Install @gesslar/uglier as a dev dependency
  * 2. Install eslint as a peer dependency (if not present)
  *
- * Note: All other dependencies (@stylistic/eslint-plugin, eslint-plugin-jsdoc, globals)
- * are bundled with the package and don't need to be installed separately.
+ * Note: @stylistic/eslint-plugin, eslint-plugin-jsdoc and globals are bundled
+ * with the package. Framework plugins (Astro, Svelte, Vue, TypeScript, JSON,
+ * Markdown) are optional peers that uglify() asks for when a block needs them.
  */
 
 import c from "@gesslar/colours"
@@ -28,6 +30,7 @@ import {
   generateConfig,
   addToConfig,
   removeFromConfig,
+  explainFile,
   showHelp
 } from "../bin/cli.js"
 
@@ -50,6 +53,8 @@ if(args.includes("--help") || args.includes("-h")) {
   const targets = args.slice(1)
 
   await removeFromConfig(targets)
+} else if(args[0] === "explain") {
+  await explainFile(args[1], args[2])
 } else {
   // No command or unknown command - show help
   console.log(c`{F214}Error:{/} Unknown command or no command specified`)
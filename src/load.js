@@ -0,0 +1,34 @@
+/**
+ * @file load.js - Synchronous, on-demand package loading
+ *
+ * @description
+ * `uglify()` is synchronous, but the plugins its blocks use should only be
+ * loaded once a block asks for them. Plain `require()` would pick the
+ * `require` export of a dual package (eslint-plugin-jsdoc and
+ * eslint-plugin-astro ship both), handing back a different plugin object
+ * than the one a user's `import` gets, and ESLint refuses to combine the
+ * two. So the package is resolved with the `import` conditions and the
+ * resolved file is required: Node.js shares ES modules loaded that way with
+ * `import`, so both sides see the same object.
+ */
+
+import {createRequire} from "node:module"
+import {fileURLToPath} from "node:url"
+
+const require = createRequire(import.meta.url)
+
+/**
+ * Load a plugin, parser or language package the way an `import` would. An
+ * ES module comes back as its default export, as a default `import` would
+ * give it; a module without one comes back whole.
+ *
+ * @param {string} specifier - Package to load
+ * @returns {any} The package's default export
+ */
+export function load(specifier) {
+  const module = require(fileURLToPath(import.meta.resolve(specifier)))
+
+  return module[Symbol.toStringTag] === "Module" && "default" in module
+    ? module.default
+    : module
+}
@@ -0,0 +1,102 @@
+/**
+ * @file package-manager.js - Package manager detection for uglify() and the CLI
+ *
+ * @description
+ * `uglify()` is synchronous and needs the install command for a missing
+ * plugin, so detection is done with plain synchronous file checks. The CLI
+ * uses the same functions, so both always suggest the same command.
+ */
+
+import {existsSync, readFileSync} from "node:fs"
+import {basename, dirname, resolve} from "node:path"
+
+/**
+ * Lock files, in the order they are looked for, and the manager that
+ * writes each one
+ *
+ * @type {{[fileName: string]: string}}
+ */
+const LOCK_FILES = {
+  "pnpm-lock.yaml": "pnpm",
+  "yarn.lock": "yarn",
+  "package-lock.json": "npm",
+  "bun.lock": "bun",
+  "bun.lockb": "bun",
+  "shrinkwrap.yaml": "pnpm",
+  "npm-shrinkwrap.json": "npm",
+}
+
+/**
+ * Command that installs dev dependencies, per package manager
+ *
+ * @type {{[manager: string]: string}}
+ */
+const INSTALL_COMMANDS = {
+  npm: "npm i -D --legacy-peer-deps",
+  pnpm: "pnpm add -D --no-strict-peer-dependencies",
+  yarn: "yarn add -D",
+  bun: "bun add -d",
+}
+
+/**
+ * Read the `packageManager` field of a `package.json`. A file that isn't
+ * valid JSON is treated as having none, so a broken manifest somewhere up
+ * the tree doesn't stop detection.
+ *
+ * @param {string} packageJson - Path to the `package.json`
+ * @returns {string | undefined} The field's value, if set
+ */
+function readPackageManagerField(packageJson) {
+  try {
+    return JSON.parse(readFileSync(packageJson, "utf8"))?.packageManager
+  } catch {
+    return undefined
+  }
+}
+
+/**
+ * Find the package manager of the project containing `directory`. Each
+ * directory, walking up, is checked for a `packageManager` field in
+ * `package.json` and then for a lock file.
+ *
+ * @param {string} [directory] - Directory to start from (default: cwd)
+ * @returns {string | undefined} Package manager name, if one was found
+ */
+function detectPackageManager(directory = process.cwd()) {
+  for(let current = resolve(directory); ; current = dirname(current)) {
+    const packageJson = resolve(current, "package.json")
+
+    if(existsSync(packageJson)) {
+      const packageManager = readPackageManagerField(packageJson)
+
+      if(packageManager)
+        return packageManager.split("@")[0]
+    }
+
+    const lockFile = Object.keys(LOCK_FILES)
+      .map(name => resolve(current, name))
+      .find(path => existsSync(path))
+
+    if(lockFile)
+      return LOCK_FILES[basename(lockFile)]
+
+    if(dirname(current) === current)
+      return undefined
+  }
+}
+
+/**
+ * Get the package manager for the current project and the command it
+ * installs dev dependencies with. npm is assumed when nothing is detected.
+ *
+ * @param {string} [directory] - Directory to start from (default: cwd)
+ * @returns {{manager: string, installCmd: string}} Package manager info
+ */
+export function getPackageManagerInfo(directory) {
+  const manager = detectPackageManager(directory) || "npm"
+
+  return {
+    manager,
+    installCmd: INSTALL_COMMANDS[manager] || INSTALL_COMMANDS.npm,
+  }
+}
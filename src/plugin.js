@@ -0,0 +1,281 @@
+/**
+ * @file plugin.js - uglier's own ESLint rules and processors
+ *
+ * @description
+ * The `@stylistic` rules only understand JavaScript ASTs, so the blocks that
+ * lint other languages (JSON, Markdown) get the house conventions from the
+ * rules in this plugin instead. The text rules work on `sourceCode.text`,
+ * which every ESLint language exposes, and listen on whatever the root node
+ * of the language happens to be called. `userscript-header` checks the
+ * metadata comment Greasemonkey-style script managers read before running a
+ * script.
+ */
+
+import {load} from "./load.js"
+
+/**
+ * Report trailing whitespace at the end of any line. With `hardBreaks`, two
+ * or more spaces before a line with content are left alone, as Markdown
+ * reads them as a line break.
+ *
+ * @type {import("eslint").Rule.RuleModule}
+ */
+const noTrailingSpaces = {
+  meta: {
+    type: "layout",
+    fixable: "whitespace",
+    schema: [{
+      type: "object",
+      properties: {
+        hardBreaks: {type: "boolean"},
+      },
+      additionalProperties: false,
+    }],
+    docs: {description: "Disallow trailing whitespace at the end of lines"},
+    messages: {trailing: "Trailing spaces not allowed."},
+  },
+  create(context) {
+    const {sourceCode} = context
+    const [{hardBreaks = false} = {}] = context.options
+
+    return {
+      [sourceCode.ast.type]() {
+        const {text} = sourceCode
+        const trailing = /[ \t]+(?=\r?\n|$)/g
+        const hardBreak = / {2,}\r?\n[^\S\r\n]*\S/y
+
+        for(const match of text.matchAll(trailing)) {
+          hardBreak.lastIndex = match.index
+
+          if(hardBreaks && hardBreak.test(text))
+            continue
+
+          /** @type {[number, number]} */
+          const range = [match.index, match.index + match[0].length]
+
+          context.report({
+            loc: {
+              start: sourceCode.getLocFromIndex(range[0]),
+              end: sourceCode.getLocFromIndex(range[1]),
+            },
+            messageId: "trailing",
+            fix: fixer => fixer.removeRange(range),
+          })
+        }
+      }
+    }
+  }
+}
+
+/**
+ * Require a newline at the end of non-empty files.
+ *
+ * @type {import("eslint").Rule.RuleModule}
+ */
+const eolLast = {
+  meta: {
+    type: "layout",
+    fixable: "whitespace",
+    schema: [],
+    docs: {description: "Require a newline at the end of files"},
+    messages: {missing: "Newline required at end of file but not found."},
+  },
+  create(context) {
+    const {sourceCode} = context
+
+    return {
+      [sourceCode.ast.type]() {
+        const {text} = sourceCode
+
+        if(text.length === 0 || text.endsWith("\n"))
+          return
+
+        const end = sourceCode.getLocFromIndex(text.length)
+
+        context.report({
+          loc: {start: end, end},
+          messageId: "missing",
+          fix: fixer => fixer.insertTextAfterRange([0, text.length], "\n"),
+        })
+      }
+    }
+  }
+}
+
+/**
+ * Enforce consistent indentation of JSON members, elements and closing
+ * brackets, one level per nesting depth. Values that share a line with their
+ * parent (`[1, 2]`) are left alone. Offsets come from the Momoa `loc`, as
+ * not every node carries a `range`.
+ *
+ * @type {import("eslint").Rule.RuleModule}
+ */
+const jsonIndent = {
+  meta: {
+    type: "layout",
+    fixable: "whitespace",
+    schema: [{type: "integer", minimum: 0}],
+    docs: {description: "Enforce consistent indentation in JSON"},
+    messages: {
+      wrong: "Expected indentation of {{expected}} spaces but found {{actual}}.",
+    },
+  },
+  create(context) {
+    const {sourceCode} = context
+    const [width = 2] = context.options
+    const {text} = sourceCode
+    let depth = 0
+
+    /**
+     * Check the indentation before `index` if it is the first thing on its
+     * line.
+     *
+     * @param {number} index - Offset of the token to check
+     * @param {object} node - Node to report on
+     */
+    const check = (index, node) => {
+      const lineStart = text.lastIndexOf("\n", index - 1) + 1
+      const leading = text.slice(lineStart, index)
+
+      if(/\S/.test(leading))
+        return
+
+      const expected = " ".repeat(depth * width)
+
+      if(leading === expected)
+        return
+
+      context.report({
+        node,
+        messageId: "wrong",
+        data: {expected: expected.length, actual: leading.length},
+        fix: fixer => fixer.replaceTextRange([lineStart, index], expected),
+      })
+    }
+
+    const enter = () => depth++
+    const exit = node => {
+      depth--
+      check(node.loc.end.offset - 1, node)
+    }
+    const item = node => check(node.loc.start.offset, node)
+
+    return {
+      "Object": enter,
+      "Array": enter,
+      "Object:exit": exit,
+      "Array:exit": exit,
+      "Member": item,
+      "Element": item,
+    }
+  }
+}
+
+/**
+ * Require a `// ==UserScript==` metadata block that declares the given keys,
+ * each with a value. Localised variants (`@name:de`) don't stand in for the
+ * plain key.
+ *
+ * @type {import("eslint").Rule.RuleModule}
+ */
+const userscriptHeader = {
+  meta: {
+    type: "problem",
+    schema: [{
+      type: "object",
+      properties: {
+        required: {type: "array", items: {type: "string"}},
+      },
+      additionalProperties: false,
+    }],
+    docs: {description: "Require a userscript metadata block with the given keys"},
+    messages: {
+      missing: "Missing // ==UserScript== metadata block.",
+      unterminated: "Metadata block is never closed with // ==/UserScript==.",
+      missingKey: "Metadata block is missing required key @{{key}}.",
+    },
+  },
+  create(context) {
+    const {sourceCode} = context
+    const [{required = ["name", "match", "version"]} = {}] = context.options
+
+    return {
+      Program() {
+        const {lines} = sourceCode
+        const start = lines.findIndex(line =>
+          /^\s*\/\/\s*==UserScript==\s*$/.test(line))
+
+        if(start === -1) {
+          context.report({
+            loc: {line: 1, column: 0},
+            messageId: "missing",
+          })
+
+          return
+        }
+
+        const loc = {
+          start: {line: start + 1, column: 0},
+          end: {line: start + 1, column: lines[start].length},
+        }
+        const end = lines.findIndex((line, index) => index > start &&
+          /^\s*\/\/\s*==\/UserScript==\s*$/.test(line))
+
+        if(end === -1) {
+          context.report({loc, messageId: "unterminated"})
+
+          return
+        }
+
+        const keys = new Set(lines.slice(start + 1, end)
+          .map(line => line.match(/^\s*\/\/\s*@(\S+)\s+\S/)?.[1])
+          .filter(Boolean))
+
+        for(const key of required) {
+          if(!keys.has(key))
+            context.report({loc, messageId: "missingKey", data: {key}})
+        }
+      }
+    }
+  }
+}
+
+/**
+ * The `@eslint/markdown` processor, loaded the first time it is needed.
+ *
+ * @returns {import("eslint").Linter.Processor} Markdown processor
+ */
+const markdownProcessor = () =>
+  load("@eslint/markdown").processors.markdown
+
+/**
+ * The `@eslint/markdown` processor swaps a Markdown file for its fenced code
+ * blocks, so the document itself would no longer be linted. This one hands
+ * the document back as well (a plain string block is linted with the
+ * original file's config, language and all) ahead of the code blocks.
+ *
+ * @type {import("eslint").Linter.Processor}
+ */
+const markdownWithCodeBlocks = {
+  meta: {name: "uglier/markdown"},
+  supportsAutofix: true,
+  preprocess(text, filename) {
+    return [text, ...markdownProcessor().preprocess(text, filename)]
+  },
+  postprocess([document = [], ...blocks], filename) {
+    return [...document, ...markdownProcessor().postprocess(blocks, filename)]
+  },
+}
+
+export default {
+  meta: {name: "uglier"},
+  rules: {
+    "eol-last": eolLast,
+    "json-indent": jsonIndent,
+    "no-trailing-spaces": noTrailingSpaces,
+    "userscript-header": userscriptHeader,
+  },
+  processors: {
+    markdown: markdownWithCodeBlocks,
+  },
+}
@@ -0,0 +1,9 @@
+/**
+ * Load a plugin, parser or language package the way an `import` would. An
+ * ES module comes back as its default export, as a default `import` would
+ * give it; a module without one comes back whole.
+ *
+ * @param {string} specifier - Package to load
+ * @returns {any} The package's default export
+ */
+export function load(specifier: string): any;
@@ -0,0 +1,11 @@
+/**
+ * Get the package manager for the current project and the command it
+ * installs dev dependencies with. npm is assumed when nothing is detected.
+ *
+ * @param {string} [directory] - Directory to start from (default: cwd)
+ * @returns {{manager: string, installCmd: string}} Package manager info
+ */
+export function getPackageManagerInfo(directory?: string): {
+    manager: string;
+    installCmd: string;
+};
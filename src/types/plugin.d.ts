@@ -0,0 +1,24 @@
+declare namespace _default {
+    namespace meta {
+        let name: string;
+    }
+    let rules: {
+        "eol-last": import("eslint").Rule.RuleModule;
+        "json-indent": import("eslint").Rule.RuleModule;
+        "no-trailing-spaces": import("eslint").Rule.RuleModule;
+        "userscript-header": import("eslint").Rule.RuleModule;
+    };
+    namespace processors {
+        export { markdownWithCodeBlocks as markdown };
+    }
+}
+export default _default;
+/**
+ * The `@eslint/markdown` processor swaps a Markdown file for its fenced code
+ * blocks, so the document itself would no longer be linted. This one hands
+ * the document back as well (a plain string block is linted with the
+ * original file's config, language and all) ahead of the code blocks.
+ *
+ * @type {import("eslint").Linter.Processor}
+ */
+declare const markdownWithCodeBlocks: import("eslint").Linter.Processor;
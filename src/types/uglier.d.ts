@@ -4,17 +4,73 @@
  * @param {UglierOptions} [options] - Composition options
  * @returns {Array<FlatConfig>} ESLint flat config array
  */
-export default function _default(options?: UglierOptions): Array<FlatConfig>;
+export default function uglify(options?: UglierOptions): Array<FlatConfig>;
 /**
- * All available config block names
+ * Describe every available preset
  *
- * @type {Array<ConfigName>}
+ * @returns {Array<PresetDescription>} One description per preset, in order
  */
-export const availableConfigs: Array<ConfigName>;
+export function describePresets(): Array<PresetDescription>;
+/**
+ * Describe every available config block, custom blocks included. Each block
+ * is built with its default options to find its files and rules, so this
+ * loads the plugins of every installed block.
+ *
+ * @returns {Array<BlockDescription>} One description per block, in order
+ */
+export function describeConfigs(): Array<BlockDescription>;
+/**
+ * Explain where the rules and globals ESLint uses for a file come from.
+ * `options` are composed with `uglify()`; an already composed config array
+ * (e.g. the default export of `eslint.config.js`) is used as it is, with
+ * configs `uglify()` didn't build attributed by their `name`. Later configs
+ * win, and a severity-only setting keeps the options of the one before it,
+ * as in ESLint.
+ *
+ * @param {UglierOptions | Array<FlatConfig>} options - Composition options
+ *   or a composed config array
+ * @param {string} filePath - File to explain, relative to the working
+ *   directory or absolute
+ * @returns {Explanation} Blocks, rules and globals that apply to the file
+ * @throws {Error} When no file path is given
+ */
+export function explain(options: UglierOptions | Array<FlatConfig>, filePath: string): Explanation;
+/**
+ * Define a custom config block. The returned definition is inert until it
+ * is passed to `registerConfig()`, so blocks can be shared as plain modules.
+ *
+ * @param {string} name - Block name used in `with`, `without` and `options`
+ * @param {BlockFactory} factory - Factory receiving the block's options
+ * @param {BlockMeta} [meta] - Descriptive metadata
+ * @returns {BlockDefinition} Frozen block definition
+ * @throws {Error} When the name or factory is invalid
+ */
+export function defineBlock(name: string, factory: BlockFactory, meta?: BlockMeta): BlockDefinition;
+/**
+ * Register one or more custom config blocks so they can be selected with
+ * `with`, excluded with `without`, configured through `options[name]` and
+ * listed by `availableConfigs`, exactly like the built-in blocks.
+ *
+ * @param {...BlockDefinition} blocks - Definitions from `defineBlock()`
+ * @throws {Error} When a block is malformed or its name is already taken
+ */
+export function registerConfig(...blocks: BlockDefinition[]): void;
+/**
+ * All available config block names, including registered custom blocks
+ *
+ * @type {Array<BlockName>}
+ */
+export const availableConfigs: Array<BlockName>;
+/**
+ * All available preset names
+ *
+ * @type {Array<PresetName>}
+ */
+export const availablePresets: Array<PresetName>;
 /**
  * Available config block names
  */
-export type ConfigName = "lints-js" | "lints-jsdoc" | "languageOptions" | "web" | "node" | "react" | "docusaurus" | "starlight" | "tauri" | "vscode-extension" | "cjs-override" | "mjs-override";
+export type ConfigName = "lints-js" | "lints-jsdoc" | "lints-ts" | "lints-jsx" | "lints-correctness" | "lints-json" | "lints-markdown" | "languageOptions" | "web" | "worker" | "service-worker" | "edge-worker" | "node" | "bun" | "deno" | "react" | "docusaurus" | "starlight" | "vue" | "svelte" | "tests" | "config-files" | "electron-main" | "electron-preload" | "electron-renderer" | "webextension" | "userscript" | "tauri" | "vscode-extension-host" | "vscode-webview" | "cjs-override" | "mjs-override";
 /**
  * ESLint rule severity or configuration
  */
@@ -25,6 +81,10 @@ export type RuleEntry = ("off" | "warn" | "error" | 0 | 1 | 2 | [("off" | "warn"
 export type RuleOverrides = {
     [ruleName: string]: RuleEntry;
 };
+/**
+ * Preferred string quote style
+ */
+export type QuoteStyle = "double" | "single";
 /**
  * Options for the lints-js config block
  */
@@ -45,6 +105,10 @@ export type LintsJsOptions = {
      * - Maximum line length (default: 80)
      */
     maxLen?: number;
+    /**
+     * - String quote style (default: "double")
+     */
+    quotes?: QuoteStyle;
     /**
      * - ESLint rule overrides
      */
@@ -67,6 +131,135 @@ export type LintsJsdocOptions = {
      */
     overrides?: RuleOverrides;
 };
+/**
+ * Options for the lints-ts config block
+ */
+export type LintsTsOptions = {
+    /**
+     * - Glob patterns for files to lint
+     */
+    files?: string | Array<string>;
+    /**
+     * - Glob patterns for files to ignore
+     */
+    ignores?: string | Array<string>;
+    /**
+     * - Indentation width (default: lints-js `indent`, else 2)
+     */
+    indent?: number;
+    /**
+     * - Maximum line length (default: lints-js `maxLen`, else 80)
+     */
+    maxLen?: number;
+    /**
+     * - Quote style (default: lints-js `quotes`, else "double")
+     */
+    quotes?: QuoteStyle;
+    /**
+     * - Extra `@typescript-eslint/parser` options (e.g. `projectService`)
+     */
+    parserOptions?: object;
+    /**
+     * - ESLint rule overrides
+     */
+    overrides?: RuleOverrides;
+};
+/**
+ * Options for the lints-jsx config block
+ */
+export type LintsJsxOptions = {
+    /**
+     * - Glob patterns for files to lint
+     */
+    files?: string | Array<string>;
+    /**
+     * - Glob patterns for files to ignore
+     */
+    ignores?: string | Array<string>;
+    /**
+     * - Indentation width for JSX props (default: lints-js `indent`, else 2)
+     */
+    indent?: number;
+    /**
+     * - JSX attribute quote style (default: lints-js `quotes`, else "double")
+     */
+    quotes?: QuoteStyle;
+    /**
+     * - ESLint rule overrides
+     */
+    overrides?: RuleOverrides;
+};
+/**
+ * Options for the lints-correctness config block
+ */
+export type LintsCorrectnessOptions = {
+    /**
+     * - Glob patterns for files to lint
+     */
+    files?: string | Array<string>;
+    /**
+     * - Glob patterns for files to ignore
+     */
+    ignores?: string | Array<string>;
+    /**
+     * - Rule set to enable (default: "recommended")
+     */
+    level?: "recommended" | "strict";
+    /**
+     * - ESLint rule overrides
+     */
+    overrides?: RuleOverrides;
+};
+/**
+ * Options for the lints-json config block
+ */
+export type LintsJsonOptions = {
+    /**
+     * - Glob patterns for files to lint
+     */
+    files?: string | Array<string>;
+    /**
+     * - Glob patterns for files to ignore
+     */
+    ignores?: string | Array<string>;
+    /**
+     * - Glob patterns for JSON files that allow comments and trailing commas
+     */
+    jsonc?: string | Array<string>;
+    /**
+     * - Indentation width (default: 2)
+     */
+    indent?: number;
+    /**
+     * - ESLint rule overrides
+     */
+    overrides?: RuleOverrides;
+};
+/**
+ * Options for the lints-markdown config block
+ */
+export type LintsMarkdownOptions = {
+    /**
+     * - Glob patterns for files to lint
+     */
+    files?: string | Array<string>;
+    /**
+     * - Glob patterns for files to ignore
+     */
+    ignores?: string | Array<string>;
+    /**
+     * - Markdown flavor to parse (default: "gfm")
+     */
+    flavor?: "gfm" | "commonmark";
+    /**
+     * - Also lint fenced js/mjs/cjs code blocks with the lints-js style (default: false)
+     */
+    codeBlocks?: boolean;
+    /**
+     * - ESLint rule overrides
+     */
+    overrides?: RuleOverrides;
+};
 /**
  * Options for the languageOptions config block
  */
@@ -87,7 +280,7 @@ export type LanguageOptionsOptions = {
     };
 };
 /**
- * Options for environment config blocks (web, node, react, tauri, vscode-extension)
+ * Options for environment config blocks (web, node, deno, react, config-files, vscode-extension-host, vscode-webview)
  */
 export type EnvironmentOptions = {
     /**
@@ -105,6 +298,133 @@ export type EnvironmentOptions = {
         [name: string]: "readonly" | "writable" | "off";
     };
 };
+/**
+ * Options for the bun config block
+ */
+export type BunOptions = {
+    /**
+     * - Glob patterns for files to lint
+     */
+    files?: string | Array<string>;
+    /**
+     * - Glob patterns for files to ignore
+     */
+    ignores?: string | Array<string>;
+    /**
+     * - Glob patterns for files that get the bun:test globals
+     */
+    testFiles?: string | Array<string>;
+    /**
+     * - Extra global variables
+     */
+    additionalGlobals?: {
+        [name: string]: "readonly" | "writable" | "off";
+    };
+};
+/**
+ * Options for the webextension config block
+ */
+export type WebExtensionOptions = {
+    /**
+     * - Glob patterns for the popup and other extension pages
+     */
+    files?: string | Array<string>;
+    /**
+     * - Glob patterns for files to ignore
+     */
+    ignores?: string | Array<string>;
+    /**
+     * - Glob patterns for the background service worker
+     */
+    background?: string | Array<string>;
+    /**
+     * - Glob patterns for content scripts
+     */
+    contentScripts?: string | Array<string>;
+    /**
+     * - Extra global variables
+     */
+    additionalGlobals?: {
+        [name: string]: "readonly" | "writable" | "off";
+    };
+};
+/**
+ * Options for the userscript config block
+ */
+export type UserscriptOptions = {
+    /**
+     * - Glob patterns for files to lint
+     */
+    files?: string | Array<string>;
+    /**
+     * - Glob patterns for files to ignore
+     */
+    ignores?: string | Array<string>;
+    /**
+     * - Metadata keys the ==UserScript== header must declare (default: name, match, version)
+     */
+    requiredKeys?: Array<string>;
+    /**
+     * - Extra global variables
+     */
+    additionalGlobals?: {
+        [name: string]: "readonly" | "writable" | "off";
+    };
+};
+/**
+ * Options for the tauri config block
+ */
+export type TauriOptions = {
+    /**
+     * - Glob patterns for files to lint
+     */
+    files?: string | Array<string>;
+    /**
+     * - Glob patterns for files to ignore
+     */
+    ignores?: string | Array<string>;
+    /**
+     * - Tauri major version (default: 2)
+     */
+    version?: 1 | 2;
+    /**
+     * - Whether `app.withGlobalTauri` (v1: `build.withGlobalTauri`) exposes `window.__TAURI__` (default: false)
+     */
+    withGlobalTauri?: boolean;
+    /**
+     * - Extra global variables
+     */
+    additionalGlobals?: {
+        [name: string]: "readonly" | "writable" | "off";
+    };
+};
+/**
+ * Test framework whose globals the tests block provides
+ */
+export type TestFramework = "node-test" | "mocha" | "jest" | "vitest" | "bun";
+/**
+ * Options for the tests config block
+ */
+export type TestsOptions = {
+    /**
+     * - Glob patterns for test files
+     */
+    files?: string | Array<string>;
+    /**
+     * - Glob patterns for files to ignore
+     */
+    ignores?: string | Array<string>;
+    /**
+     * - Test framework (default: "node-test")
+     */
+    framework?: TestFramework;
+    /**
+     * - Extra global variables
+     */
+    additionalGlobals?: {
+        [name: string]: "readonly" | "writable" | "off";
+    };
+};
 /**
  * Options for module override config blocks (cjs-override, mjs-override)
  */
@@ -124,33 +444,77 @@ export type ModuleOverrideOptions = {
 export type PerConfigOptions = {
     "lints-js"?: LintsJsOptions;
     "lints-jsdoc"?: LintsJsdocOptions;
+    "lints-ts"?: LintsTsOptions;
+    "lints-jsx"?: LintsJsxOptions;
+    "lints-correctness"?: LintsCorrectnessOptions;
+    "lints-json"?: LintsJsonOptions;
+    "lints-markdown"?: LintsMarkdownOptions;
     languageOptions?: LanguageOptionsOptions;
     web?: EnvironmentOptions;
+    worker?: EnvironmentOptions;
+    "service-worker"?: EnvironmentOptions;
+    "edge-worker"?: EnvironmentOptions;
     node?: EnvironmentOptions;
+    bun?: BunOptions;
+    deno?: EnvironmentOptions;
     react?: EnvironmentOptions;
     docusaurus?: EnvironmentOptions;
     starlight?: EnvironmentOptions;
-    tauri?: EnvironmentOptions;
-    "vscode-extension"?: EnvironmentOptions;
+    vue?: EnvironmentOptions;
+    svelte?: EnvironmentOptions;
+    tests?: TestsOptions;
+    "config-files"?: EnvironmentOptions;
+    "electron-main"?: EnvironmentOptions;
+    "electron-preload"?: EnvironmentOptions;
+    "electron-renderer"?: EnvironmentOptions;
+    webextension?: WebExtensionOptions;
+    userscript?: UserscriptOptions;
+    tauri?: TauriOptions;
+    "vscode-extension-host"?: EnvironmentOptions;
+    "vscode-webview"?: EnvironmentOptions;
     "cjs-override"?: ModuleOverrideOptions;
     "mjs-override"?: ModuleOverrideOptions;
+    [name: string]: object;
 };
+/**
+ * A built-in or registered config block name
+ */
+export type BlockName = ConfigName | (string & {});
+/**
+ * Available preset names. Presets expand into several config blocks.
+ */
+export type PresetName = "preset:node-library" | "preset:tauri-app" | "preset:vscode-extension";
 /**
  * Options for composing ESLint configurations
  */
 export type UglierOptions = {
     /**
-     * - Config names to include (default: ["lints-js", "lints-jsdoc"])
+     * - Config or preset names to include (default: ["lints-js", "lints-jsdoc"])
      */
-    with?: Array<ConfigName>;
+    with?: Array<BlockName | PresetName>;
     /**
-     * - Config names to exclude (higher precedence than `with`)
+     * - Config or preset names to exclude (higher precedence than `with`)
      */
-    without?: Array<ConfigName>;
+    without?: Array<BlockName | PresetName>;
     /**
      * - Per-config options
      */
     options?: PerConfigOptions;
+    /**
+     * - Default `files` for every
+     * selected block except the overrides (per-block options win)
+     */
+    files?: string | Array<string>;
+    /**
+     * - Default `ignores` for every
+     * selected block (per-block options win)
+     */
+    ignores?: string | Array<string>;
+    /**
+     * - Directory every config's `files` and
+     * `ignores` are relative to, e.g. a workspace package (ESLint 9.30+)
+     */
+    basePath?: string;
 };
 /**
  * An ESLint flat config object
@@ -168,6 +532,10 @@ export type FlatConfig = {
      * - Glob patterns for files to ignore
      */
     ignores?: Array<string>;
+    /**
+     * - Directory `files` and `ignores` are relative to
+     */
+    basePath?: string;
     /**
      * - ESLint plugins
      */
@@ -180,12 +548,266 @@ export type FlatConfig = {
     rules?: {
         [ruleName: string]: RuleEntry;
     };
+    /**
+     * - Language for non-JavaScript files (e.g. "json/json")
+     */
+    language?: string;
     /**
      * - Language options
      */
     languageOptions?: object;
+    /**
+     * - Processor that extracts code blocks
+     */
+    processor?: string | object;
     /**
      * - Shared settings
      */
     settings?: object;
 };
+/**
+ * What a block factory knows about the rest of the composition
+ */
+export type BlockContext = {
+    /**
+     * - Every selected block name, in order
+     */
+    selected?: Array<string>;
+    /**
+     * - Options for every selected block
+     */
+    options?: PerConfigOptions;
+};
+/**
+ * A config block factory. Receives the block's entry from `options` and the
+ * composition context, and returns one or more flat config objects.
+ */
+export type BlockFactory = (options?: object, context?: BlockContext) => FlatConfig | Array<FlatConfig>;
+/**
+ * Value types understood by option schemas
+ */
+export type OptionType = "string" | "number" | "boolean" | "array" | "object" | "function";
+/**
+ * Schema for a single block option
+ */
+export type OptionSchema = {
+    /**
+     * - Accepted value type(s)
+     */
+    type?: OptionType | Array<OptionType>;
+    /**
+     * - Accepted values
+     */
+    enum?: Array<string | number | boolean>;
+};
+/**
+ * Schema describing every option a block accepts
+ */
+export type OptionsSchema = {
+    [option: string]: OptionSchema;
+};
+/**
+ * Descriptive metadata for a config block
+ */
+export type BlockMeta = {
+    /**
+     * - Short, human-readable summary of the block
+     */
+    description?: string;
+    /**
+     * - Kind of block (default: "environment")
+     */
+    category?: BlockCategory;
+    /**
+     * - Options accepted by the block; when
+     * omitted, the block's options are not validated
+     */
+    schema?: OptionsSchema;
+    /**
+     * - Packages the block loads; selecting
+     * the block throws, with an install command, when one is missing
+     */
+    plugins?: Array<string>;
+    /**
+     * - Whether the block lints JavaScript
+     * source and so takes the top-level `files` as its default (default: false)
+     */
+    sharedFiles?: boolean;
+    /**
+     * - Blocks that replace this
+     * deprecated one; selecting it warns, and it is not listed
+     */
+    replacedBy?: Array<BlockName>;
+};
+/**
+ * Kind of config block: lint rules, the globals and parsers of an
+ * environment, or a file-type override
+ */
+export type BlockCategory = "lint" | "environment" | "override";
+/**
+ * Everything known about a config block, as returned by `describeConfigs()`.
+ * `files`, `ignores` and `rules` come from building the block with its
+ * default options; they are null when one of its plugins isn't installed.
+ */
+export type BlockDescription = {
+    /**
+     * - Block name
+     */
+    name: string;
+    /**
+     * - Short, human-readable summary
+     */
+    description: string | null;
+    /**
+     * - Kind of block
+     */
+    category: BlockCategory;
+    /**
+     * - Default files of the block's main config
+     */
+    files: Array<string | Array<string>> | null;
+    /**
+     * - Default ignores of the block's main config
+     */
+    ignores: Array<string> | null;
+    /**
+     * - Options the block accepts
+     */
+    schema: OptionsSchema | null;
+    /**
+     * - Packages the block loads
+     */
+    plugins: Array<string>;
+    /**
+     * - Names of the rules the block sets
+     */
+    rules: Array<string> | null;
+};
+/**
+ * A named preset: a set of config blocks selected together
+ */
+export type PresetMeta = {
+    /**
+     * - Short, human-readable summary of the preset
+     */
+    description: string;
+    /**
+     * - Config blocks the preset expands into
+     */
+    blocks: Array<ConfigName>;
+};
+/**
+ * A preset, as returned by `describePresets()`
+ */
+export type PresetDescription = {
+    /**
+     * - Preset name, including the `preset:` prefix
+     */
+    name: PresetName;
+    /**
+     * - Short, human-readable summary
+     */
+    description: string;
+    /**
+     * - Config blocks the preset expands into
+     */
+    blocks: Array<ConfigName>;
+};
+/**
+ * A custom config block, as produced by `defineBlock()`
+ */
+export type BlockDefinition = {
+    /**
+     * - Name used to select the block in `with`/`without`
+     */
+    name: string;
+    /**
+     * - Factory producing the block's flat config
+     */
+    factory: BlockFactory;
+    /**
+     * - Descriptive metadata
+     */
+    meta: BlockMeta;
+};
+/**
+ * One block's setting for a rule
+ */
+export type RuleSetting = {
+    /**
+     * - Block that set the rule (the config's name when
+     * it wasn't built by uglier)
+     */
+    block: string;
+    /**
+     * - Severity the block set
+     */
+    severity: "off" | "warn" | "error";
+    /**
+     * - Rule options, after any options kept
+     * from earlier settings
+     */
+    options: Array<unknown>;
+    /**
+     * - Whether the setting came from the block's
+     * `overrides`
+     */
+    override: boolean;
+};
+/**
+ * A rule's final setting for a file, and the settings it replaced
+ */
+export type RuleExplanation = RuleSetting & {
+    overridden: Array<RuleSetting>;
+};
+/**
+ * A global's final value for a file, and the values it replaced
+ */
+export type GlobalExplanation = {
+    /**
+     * - Block that declared the global
+     */
+    block: string;
+    /**
+     * - Declared value (e.g. "readonly")
+     */
+    value: unknown;
+    /**
+     * - Earlier
+     * declarations, oldest first
+     */
+    overridden: Array<{
+        block: string;
+        value: unknown;
+    }>;
+};
+/**
+ * Where the settings ESLint uses for a file come from, as returned by
+ * `explain()`
+ */
+export type Explanation = {
+    /**
+     * - Path of the file, relative to the working directory
+     */
+    file: string;
+    /**
+     * - Whether a global `ignores` config skips the file
+     */
+    ignored: boolean;
+    /**
+     * - Blocks with a config that applies, in order
+     */
+    blocks: Array<string>;
+    /**
+     * - Final rule settings
+     */
+    rules: {
+        [rule: string]: RuleExplanation;
+    };
+    /**
+     * - Final globals
+     */
+    globals: {
+        [name: string]: GlobalExplanation;
+    };
+};
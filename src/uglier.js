@@ -31,6 +31,19 @@
  * ]
  *
  * @example
+ * // Using a preset that expands into several config blocks
+ * import uglify from "@gesslar/uglier"
+ *
+ * export default [
+ *   ...uglify({
+ *     with: ["preset:node-library"],
+ *     options: {
+ *       "node": { files: ["lib/**\/*.js"] }
+ *     }
+ *   })
+ * ]
+ *
+ * @example
  * // Using without to exclude configs
  * import uglify from "@gesslar/uglier"
  *
@@ -64,12 +77,32 @@
  *
  * - lints-js: Core stylistic rules (indent, spacing, quotes, etc.)
  * - lints-jsdoc: JSDoc documentation requirements
+ * - lints-ts: TypeScript stylistic rules (house style + type annotations)
+ * - lints-jsx: JSX stylistic rules (quotes, props indent, closing brackets)
+ * - lints-correctness: Core bug-catching rules (no-undef, no-unreachable, etc.)
+ * - lints-json: JSON rules (duplicate keys, 2-space indent, eol-last)
+ * - lints-markdown: Markdown rules, optionally linting fenced JS code blocks
  * - languageOptions: Base ECMAScript language configuration
  * - web: Browser globals (window, document, etc.)
+ * - worker: Web Worker globals (DOM globals reported)
+ * - service-worker: Service Worker globals (DOM globals reported)
+ * - edge-worker: Edge runtime globals, Cloudflare Workers style
  * - node: Node.js globals (process, require, fetch, Headers)
+ * - bun: Bun globals (node + Bun, bun:test globals in test files)
+ * - deno: Deno globals (Deno namespace + web APIs, no CommonJS globals)
  * - react: React globals (browser + React, ReactDOM)
- * - tauri: Tauri app globals (browser + __TAURI__)
- * - vscode-extension: VSCode extension API (acquireVsCodeApi)
+ * - vue: Vue single-file components (browser + Vue macros)
+ * - svelte: Svelte components (browser + runes)
+ * - tests: Test files (node:test, Mocha, Jest, Vitest or Bun globals)
+ * - config-files: Tooling files (*.config.js, scripts/**) with Node globals
+ * - electron-main: Electron main process (Node.js globals)
+ * - electron-preload: Electron preload scripts (browser + Node.js globals)
+ * - electron-renderer: Electron renderer (browser, no electron/Node imports)
+ * - webextension: Browser extension background, content scripts and popup
+ * - userscript: Greasemonkey/Tampermonkey userscripts (GM APIs + header)
+ * - tauri: Tauri app frontends (browser + Tauri v1/v2 globals, no Node.js)
+ * - vscode-extension-host: VSCode extension host (Node.js + vscode, no DOM)
+ * - vscode-webview: VSCode webviews (browser + acquireVsCodeApi, no Node.js)
  * - cjs-override: CommonJS file handling (.cjs files)
  * - mjs-override: ES Module file handling (.mjs files)
  */
@@ -77,7 +110,7 @@
 /**
  * Available config block names
  *
- * @typedef {"lints-js" | "lints-jsdoc" | "languageOptions" | "web" | "node" | "react" | "docusaurus" | "starlight" | "tauri" | "vscode-extension" | "cjs-override" | "mjs-override"} ConfigName
+ * @typedef {"lints-js" | "lints-jsdoc" | "lints-ts" | "lints-jsx" | "lints-correctness" | "lints-json" | "lints-markdown" | "languageOptions" | "web" | "worker" | "service-worker" | "edge-worker" | "node" | "bun" | "deno" | "react" | "docusaurus" | "starlight" | "vue" | "svelte" | "tests" | "config-files" | "electron-main" | "electron-preload" | "electron-renderer" | "webextension" | "userscript" | "tauri" | "vscode-extension-host" | "vscode-webview" | "cjs-override" | "mjs-override"} ConfigName
  */
 
 /**
@@ -92,6 +125,12 @@
  * @typedef {{[ruleName: string]: RuleEntry}} RuleOverrides
  */
 
+/**
+ * Preferred string quote style
+ *
+ * @typedef {"double" | "single"} QuoteStyle
+ */
+
 /**
  * Options for the lints-js config block
  *
@@ -100,6 +139,7 @@
  * @property {string | Array<string>} [ignores] - Glob patterns for files to ignore
  * @property {number} [indent] - Indentation width (default: 2)
  * @property {number} [maxLen] - Maximum line length (default: 80)
+ * @property {QuoteStyle} [quotes] - String quote style (default: "double")
  * @property {RuleOverrides} [overrides] - ESLint rule overrides
  */
 
@@ -112,6 +152,62 @@
  * @property {RuleOverrides} [overrides] - ESLint rule overrides
  */
 
+/**
+ * Options for the lints-ts config block
+ *
+ * @typedef {object} LintsTsOptions
+ * @property {string | Array<string>} [files] - Glob patterns for files to lint
+ * @property {string | Array<string>} [ignores] - Glob patterns for files to ignore
+ * @property {number} [indent] - Indentation width (default: lints-js `indent`, else 2)
+ * @property {number} [maxLen] - Maximum line length (default: lints-js `maxLen`, else 80)
+ * @property {QuoteStyle} [quotes] - Quote style (default: lints-js `quotes`, else "double")
+ * @property {object} [parserOptions] - Extra `@typescript-eslint/parser` options (e.g. `projectService`)
+ * @property {RuleOverrides} [overrides] - ESLint rule overrides
+ */
+
+/**
+ * Options for the lints-jsx config block
+ *
+ * @typedef {object} LintsJsxOptions
+ * @property {string | Array<string>} [files] - Glob patterns for files to lint
+ * @property {string | Array<string>} [ignores] - Glob patterns for files to ignore
+ * @property {number} [indent] - Indentation width for JSX props (default: lints-js `indent`, else 2)
+ * @property {QuoteStyle} [quotes] - JSX attribute quote style (default: lints-js `quotes`, else "double")
+ * @property {RuleOverrides} [overrides] - ESLint rule overrides
+ */
+
+/**
+ * Options for the lints-correctness config block
+ *
+ * @typedef {object} LintsCorrectnessOptions
+ * @property {string | Array<string>} [files] - Glob patterns for files to lint
+ * @property {string | Array<string>} [ignores] - Glob patterns for files to ignore
+ * @property {"recommended" | "strict"} [level] - Rule set to enable (default: "recommended")
+ * @property {RuleOverrides} [overrides] - ESLint rule overrides
+ */
+
+/**
+ * Options for the lints-json config block
+ *
+ * @typedef {object} LintsJsonOptions
+ * @property {string | Array<string>} [files] - Glob patterns for files to lint
+ * @property {string | Array<string>} [ignores] - Glob patterns for files to ignore
+ * @property {string | Array<string>} [jsonc] - Glob patterns for JSON files that allow comments and trailing commas
+ * @property {number} [indent] - Indentation width (default: 2)
+ * @property {RuleOverrides} [overrides] - ESLint rule overrides
+ */
+
+/**
+ * Options for the lints-markdown config block
+ *
+ * @typedef {object} LintsMarkdownOptions
+ * @property {string | Array<string>} [files] - Glob patterns for files to lint
+ * @property {string | Array<string>} [ignores] - Glob patterns for files to ignore
+ * @property {"gfm" | "commonmark"} [flavor] - Markdown flavor to parse (default: "gfm")
+ * @property {boolean} [codeBlocks] - Also lint fenced js/mjs/cjs code blocks with the lints-js style (default: false)
+ * @property {RuleOverrides} [overrides] - ESLint rule overrides
+ */
+
 /**
  * Options for the languageOptions config block
  *
@@ -122,7 +218,7 @@
  */
 
 /**
- * Options for environment config blocks (web, node, react, tauri, vscode-extension)
+ * Options for environment config blocks (web, node, deno, react, config-files, vscode-extension-host, vscode-webview)
  *
  * @typedef {object} EnvironmentOptions
  * @property {string | Array<string>} [files] - Glob patterns for files to lint
@@ -130,6 +226,64 @@
  * @property {{[name: string]: "readonly" | "writable" | "off"}} [additionalGlobals] - Extra global variables
  */
 
+/**
+ * Options for the bun config block
+ *
+ * @typedef {object} BunOptions
+ * @property {string | Array<string>} [files] - Glob patterns for files to lint
+ * @property {string | Array<string>} [ignores] - Glob patterns for files to ignore
+ * @property {string | Array<string>} [testFiles] - Glob patterns for files that get the bun:test globals
+ * @property {{[name: string]: "readonly" | "writable" | "off"}} [additionalGlobals] - Extra global variables
+ */
+
+/**
+ * Options for the webextension config block
+ *
+ * @typedef {object} WebExtensionOptions
+ * @property {string | Array<string>} [files] - Glob patterns for the popup and other extension pages
+ * @property {string | Array<string>} [ignores] - Glob patterns for files to ignore
+ * @property {string | Array<string>} [background] - Glob patterns for the background service worker
+ * @property {string | Array<string>} [contentScripts] - Glob patterns for content scripts
+ * @property {{[name: string]: "readonly" | "writable" | "off"}} [additionalGlobals] - Extra global variables
+ */
+
+/**
+ * Options for the userscript config block
+ *
+ * @typedef {object} UserscriptOptions
+ * @property {string | Array<string>} [files] - Glob patterns for files to lint
+ * @property {string | Array<string>} [ignores] - Glob patterns for files to ignore
+ * @property {Array<string>} [requiredKeys] - Metadata keys the ==UserScript== header must declare (default: name, match, version)
+ * @property {{[name: string]: "readonly" | "writable" | "off"}} [additionalGlobals] - Extra global variables
+ */
+
+/**
+ * Options for the tauri config block
+ *
+ * @typedef {object} TauriOptions
+ * @property {string | Array<string>} [files] - Glob patterns for files to lint
+ * @property {string | Array<string>} [ignores] - Glob patterns for files to ignore
+ * @property {1 | 2} [version] - Tauri major version (default: 2)
+ * @property {boolean} [withGlobalTauri] - Whether `app.withGlobalTauri` (v1: `build.withGlobalTauri`) exposes `window.__TAURI__` (default: false)
+ * @property {{[name: string]: "readonly" | "writable" | "off"}} [additionalGlobals] - Extra global variables
+ */
+
+/**
+ * Test framework whose globals the tests block provides
+ *
+ * @typedef {"node-test" | "mocha" | "jest" | "vitest" | "bun"} TestFramework
+ */
+
+/**
+ * Options for the tests config block
+ *
+ * @typedef {object} TestsOptions
+ * @property {string | Array<string>} [files] - Glob patterns for test files
+ * @property {string | Array<string>} [ignores] - Glob patterns for files to ignore
+ * @property {TestFramework} [framework] - Test framework (default: "node-test")
+ * @property {{[name: string]: "readonly" | "writable" | "off"}} [additionalGlobals] - Extra global variables
+ */
+
 /**
  * Options for module override config blocks (cjs-override, mjs-override)
  *
@@ -141,16 +295,34 @@
 /**
  * Per-config options map
  *
- * @typedef {{"lints-js"?: LintsJsOptions, "lints-jsdoc"?: LintsJsdocOptions, languageOptions?: LanguageOptionsOptions, web?: EnvironmentOptions, node?: EnvironmentOptions, react?: EnvironmentOptions, docusaurus?: EnvironmentOptions, starlight?: EnvironmentOptions, tauri?: EnvironmentOptions, "vscode-extension"?: EnvironmentOptions, "cjs-override"?: ModuleOverrideOptions, "mjs-override"?: ModuleOverrideOptions}} PerConfigOptions
+ * @typedef {{"lints-js"?: LintsJsOptions, "lints-jsdoc"?: LintsJsdocOptions, "lints-ts"?: LintsTsOptions, "lints-jsx"?: LintsJsxOptions, "lints-correctness"?: LintsCorrectnessOptions, "lints-json"?: LintsJsonOptions, "lints-markdown"?: LintsMarkdownOptions, languageOptions?: LanguageOptionsOptions, web?: EnvironmentOptions, worker?: EnvironmentOptions, "service-worker"?: EnvironmentOptions, "edge-worker"?: EnvironmentOptions, node?: EnvironmentOptions, bun?: BunOptions, deno?: EnvironmentOptions, react?: EnvironmentOptions, docusaurus?: EnvironmentOptions, starlight?: EnvironmentOptions, vue?: EnvironmentOptions, svelte?: EnvironmentOptions, tests?: TestsOptions, "config-files"?: EnvironmentOptions, "electron-main"?: EnvironmentOptions, "electron-preload"?: EnvironmentOptions, "electron-renderer"?: EnvironmentOptions, webextension?: WebExtensionOptions, userscript?: UserscriptOptions, tauri?: TauriOptions, "vscode-extension-host"?: EnvironmentOptions, "vscode-webview"?: EnvironmentOptions, "cjs-override"?: ModuleOverrideOptions, "mjs-override"?: ModuleOverrideOptions, [name: string]: object}} PerConfigOptions
+ */
+
+/**
+ * A built-in or registered config block name
+ *
+ * @typedef {ConfigName | (string & {})} BlockName
+ */
+
+/**
+ * Available preset names. Presets expand into several config blocks.
+ *
+ * @typedef {"preset:node-library" | "preset:tauri-app" | "preset:vscode-extension"} PresetName
  */
 
 /**
  * Options for composing ESLint configurations
  *
  * @typedef {object} UglierOptions
- * @property {Array<ConfigName>} [with] - Config names to include (default: ["lints-js", "lints-jsdoc"])
- * @property {Array<ConfigName>} [without] - Config names to exclude (higher precedence than `with`)
+ * @property {Array<BlockName | PresetName>} [with] - Config or preset names to include (default: ["lints-js", "lints-jsdoc"])
+ * @property {Array<BlockName | PresetName>} [without] - Config or preset names to exclude (higher precedence than `with`)
  * @property {PerConfigOptions} [options] - Per-config options
+ * @property {string | Array<string>} [files] - Default `files` for every
+ *   selected block except the overrides (per-block options win)
+ * @property {string | Array<string>} [ignores] - Default `ignores` for every
+ *   selected block (per-block options win)
+ * @property {string} [basePath] - Directory every config's `files` and
+ *   `ignores` are relative to, e.g. a workspace package (ESLint 9.30+)
  */
 
 /**
@@ -160,22 +332,592 @@
  * @property {string} [name] - Config name for debugging
  * @property {Array<string | string[]>} [files] - Glob patterns for files this config applies to
  * @property {Array<string>} [ignores] - Glob patterns for files to ignore
+ * @property {string} [basePath] - Directory `files` and `ignores` are relative to
  * @property {{[pluginName: string]: object}} [plugins] - ESLint plugins
  * @property {{[ruleName: string]: RuleEntry}} [rules] - ESLint rules
+ * @property {string} [language] - Language for non-JavaScript files (e.g. "json/json")
  * @property {object} [languageOptions] - Language options
+ * @property {string | object} [processor] - Processor that extracts code blocks
  * @property {object} [settings] - Shared settings
  */
 
-import jsdoc from "eslint-plugin-jsdoc"
-import astro from "eslint-plugin-astro"
-import stylistic from "@stylistic/eslint-plugin"
+/**
+ * What a block factory knows about the rest of the composition
+ *
+ * @typedef {object} BlockContext
+ * @property {Array<string>} [selected] - Every selected block name, in order
+ * @property {PerConfigOptions} [options] - Options for every selected block
+ */
+
+/**
+ * A config block factory. Receives the block's entry from `options` and the
+ * composition context, and returns one or more flat config objects.
+ *
+ * @typedef {(options?: object, context?: BlockContext) => FlatConfig | Array<FlatConfig>} BlockFactory
+ */
+
+/**
+ * Value types understood by option schemas
+ *
+ * @typedef {"string" | "number" | "boolean" | "array" | "object" | "function"} OptionType
+ */
+
+/**
+ * Schema for a single block option
+ *
+ * @typedef {object} OptionSchema
+ * @property {OptionType | Array<OptionType>} [type] - Accepted value type(s)
+ * @property {Array<string | number | boolean>} [enum] - Accepted values
+ */
+
+/**
+ * Schema describing every option a block accepts
+ *
+ * @typedef {{[option: string]: OptionSchema}} OptionsSchema
+ */
+
+/**
+ * Descriptive metadata for a config block
+ *
+ * @typedef {object} BlockMeta
+ * @property {string} [description] - Short, human-readable summary of the block
+ * @property {BlockCategory} [category] - Kind of block (default: "environment")
+ * @property {OptionsSchema} [schema] - Options accepted by the block; when
+ *   omitted, the block's options are not validated
+ * @property {Array<string>} [plugins] - Packages the block loads; selecting
+ *   the block throws, with an install command, when one is missing
+ * @property {boolean} [sharedFiles] - Whether the block lints JavaScript
+ *   source and so takes the top-level `files` as its default (default: false)
+ * @property {Array<BlockName>} [replacedBy] - Blocks that replace this
+ *   deprecated one; selecting it warns, and it is not listed
+ */
+
+/**
+ * Kind of config block: lint rules, the globals and parsers of an
+ * environment, or a file-type override
+ *
+ * @typedef {"lint" | "environment" | "override"} BlockCategory
+ */
+
+/**
+ * Everything known about a config block, as returned by `describeConfigs()`.
+ * `files`, `ignores` and `rules` come from building the block with its
+ * default options; they are null when one of its plugins isn't installed.
+ *
+ * @typedef {object} BlockDescription
+ * @property {string} name - Block name
+ * @property {string | null} description - Short, human-readable summary
+ * @property {BlockCategory} category - Kind of block
+ * @property {Array<string | Array<string>> | null} files - Default files of the block's main config
+ * @property {Array<string> | null} ignores - Default ignores of the block's main config
+ * @property {OptionsSchema | null} schema - Options the block accepts
+ * @property {Array<string>} plugins - Packages the block loads
+ * @property {Array<string> | null} rules - Names of the rules the block sets
+ */
+
+/**
+ * A named preset: a set of config blocks selected together
+ *
+ * @typedef {object} PresetMeta
+ * @property {string} description - Short, human-readable summary of the preset
+ * @property {Array<ConfigName>} blocks - Config blocks the preset expands into
+ */
+
+/**
+ * A preset, as returned by `describePresets()`
+ *
+ * @typedef {object} PresetDescription
+ * @property {PresetName} name - Preset name, including the `preset:` prefix
+ * @property {string} description - Short, human-readable summary
+ * @property {Array<ConfigName>} blocks - Config blocks the preset expands into
+ */
+
+/**
+ * A custom config block, as produced by `defineBlock()`
+ *
+ * @typedef {object} BlockDefinition
+ * @property {string} name - Name used to select the block in `with`/`without`
+ * @property {BlockFactory} factory - Factory producing the block's flat config
+ * @property {BlockMeta} meta - Descriptive metadata
+ */
+
+/**
+ * One block's setting for a rule
+ *
+ * @typedef {object} RuleSetting
+ * @property {string} block - Block that set the rule (the config's name when
+ *   it wasn't built by uglier)
+ * @property {"off" | "warn" | "error"} severity - Severity the block set
+ * @property {Array<unknown>} options - Rule options, after any options kept
+ *   from earlier settings
+ * @property {boolean} override - Whether the setting came from the block's
+ *   `overrides`
+ */
+
+/**
+ * A rule's final setting for a file, and the settings it replaced
+ *
+ * @typedef {RuleSetting & {overridden: Array<RuleSetting>}} RuleExplanation
+ */
+
+/**
+ * A global's final value for a file, and the values it replaced
+ *
+ * @typedef {object} GlobalExplanation
+ * @property {string} block - Block that declared the global
+ * @property {unknown} value - Declared value (e.g. "readonly")
+ * @property {Array<{block: string, value: unknown}>} overridden - Earlier
+ *   declarations, oldest first
+ */
+
+/**
+ * Where the settings ESLint uses for a file come from, as returned by
+ * `explain()`
+ *
+ * @typedef {object} Explanation
+ * @property {string} file - Path of the file, relative to the working directory
+ * @property {boolean} ignored - Whether a global `ignores` config skips the file
+ * @property {Array<string>} blocks - Blocks with a config that applies, in order
+ * @property {{[rule: string]: RuleExplanation}} rules - Final rule settings
+ * @property {{[name: string]: GlobalExplanation}} globals - Final globals
+ */
+
 import globals from "globals"
+import uglier from "./plugin.js"
+import {getPackageManagerInfo} from "./package-manager.js"
+import {load} from "./load.js"
+import {builtinModules} from "node:module"
+import {isAbsolute, relative, resolve, sep} from "node:path"
+
+const PRESET_PREFIX = "preset:"
+
+/**
+ * Lazily loaded ESLint internals used to validate rule overrides. ESLint is
+ * only loaded once a block actually receives overrides.
+ *
+ * @type {{linter: object, builtinRules: Map<string, object>} | null}
+ */
+let eslintInternals = null
+
+/**
+ * Plugin name the stand-in rules are registered under while override
+ * options are validated
+ */
+const OVERRIDE_CHECK = "uglier-override-check"
+
+/**
+ * Deprecation warnings already printed, so composing several configs (or
+ * calling `explain()`) warns once per process
+ *
+ * @type {Set<string>}
+ */
+const warned = new Set()
+
+/**
+ * The block, and the block's overrides, behind every config object
+ * `uglify()` has built, so `explain()` can attribute the configs of an
+ * already composed config array.
+ *
+ * @type {WeakMap<FlatConfig, {block: string, overrides: RuleOverrides}>}
+ */
+const ORIGINS = new WeakMap()
+
+/**
+ * The uglier house style: the `@stylistic` rules shared by every block that
+ * lints JavaScript-like source.
+ *
+ * @param {object} [options] - Style options
+ * @param {number} [options.indent] - Indentation width (default: 2)
+ * @param {number} [options.maxLen] - Maximum line length (default: 80)
+ * @param {QuoteStyle} [options.quotes] - Quote style (default: "double")
+ * @returns {{[ruleName: string]: RuleEntry}} `@stylistic` rules
+ */
+function houseStyle({indent = 2, maxLen = 80, quotes = "double"} = {}) {
+  return {
+    "@stylistic/arrow-parens": ["error", "as-needed"],
+    "@stylistic/arrow-spacing": ["error", {before: true, after: true}],
+    "@stylistic/brace-style": ["error", "1tbs", {allowSingleLine: false}],
+    "@stylistic/nonblock-statement-body-position": ["error", "below"],
+    "@stylistic/padding-line-between-statements": [
+      "error",
+      {blankLine: "always", prev: "if", next: "*"},
+      {blankLine: "always", prev: "*", next: "return"},
+      {blankLine: "always", prev: "while", next: "*"},
+      {blankLine: "always", prev: "for", next: "*"},
+      {blankLine: "always", prev: "switch", next: "*"},
+      {blankLine: "always", prev: "do", next: "*"},
+      {blankLine: "always", prev: "directive", next: "*"},
+      {blankLine: "any", prev: "directive", next: "directive"},
+    ],
+    "@stylistic/eol-last": ["error", "always"],
+    "@stylistic/indent": ["error", indent, {
+      SwitchCase: 1
+    }],
+    "@stylistic/key-spacing": ["error", {beforeColon: false, afterColon: true}],
+    "@stylistic/keyword-spacing": ["error", {
+      before: false,
+      after: true,
+      overrides: {
+        // Control statements
+        return: {before: true, after: true},
+        if: {after: false},
+        else: {before: true, after: true},
+        for: {after: false},
+        while: {before: true, after: false},
+        do: {after: true},
+        switch: {after: false},
+        case: {before: true, after: true},
+        throw: {before: true, after: false},
+
+        // Keywords
+        as: {before: true, after: true},
+        of: {before: true, after: true},
+        from: {before: true, after: true},
+        async: {before: true, after: true},
+        await: {before: true, after: false},
+        with: {before: true, after: true},
+        class: {before: true, after: true},
+        const: {before: true, after: true},
+        let: {before: true, after: true},
+        var: {before: true, after: true},
+
+        // Exception handling
+        catch: {before: true, after: true},
+        finally: {before: true, after: true},
+      }
+    }],
+    "@stylistic/space-before-blocks": ["error", "always"],
+    "@stylistic/max-len": ["warn", {
+      code: maxLen,
+      ignoreComments: true,
+      ignoreUrls: true,
+      ignoreStrings: true,
+      ignoreTemplateLiterals: true,
+      ignoreRegExpLiterals: true,
+      tabWidth: indent
+    }],
+    "@stylistic/no-tabs": "error",
+    "@stylistic/no-trailing-spaces": ["error"],
+    "@stylistic/object-curly-spacing": ["error", "never", {
+      objectsInObjects: false,
+      arraysInObjects: false
+    }],
+    "@stylistic/quotes": ["error", quotes, {
+      avoidEscape: true,
+      allowTemplateLiterals: "always",
+    }],
+    "@stylistic/semi": ["error", "never"],
+    "@stylistic/space-before-function-paren": ["error", "never"],
+    "@stylistic/yield-star-spacing": ["error", {before: true, after: false}],
+    "@stylistic/no-multiple-empty-lines": ["error", {max: 1}],
+    "@stylistic/array-bracket-spacing": ["error", "never"],
+    "@stylistic/no-extra-semi": "error",
+  }
+}
+
+/**
+ * The house style as lints-js options shape it, `overrides` included, so a
+ * block that repeats the style for its own files doesn't undo them
+ *
+ * @param {LintsJsOptions} [options] - lints-js options
+ * @returns {FlatConfig["rules"]} Rules
+ */
+function lintsJsRules(options = {}) {
+  return {
+    ...houseStyle(options),
+    ...options.overrides,
+  }
+}
+
+/**
+ * The lints-js house style for blocks that configure files of their own
+ * (component scripts, tests, tooling files). Empty unless lints-js is
+ * selected, so those blocks only pick up style when the project asked for
+ * it.
+ *
+ * @param {BlockContext} context - Composition context
+ * @returns {{plugins?: FlatConfig["plugins"], rules?: FlatConfig["rules"]}} Partial flat config
+ */
+function lintsJsStyle(context) {
+  if(!context.selected?.includes("lints-js"))
+    return {}
+
+  return {
+    plugins: {
+      "@stylistic": load("@stylistic/eslint-plugin"),
+    },
+    rules: lintsJsRules(context.options?.["lints-js"]),
+  }
+}
+
+/**
+ * `no-unused-vars` as uglier configures it: everything is checked, and a
+ * leading underscore marks a binding as deliberately unused.
+ *
+ * @type {RuleEntry}
+ */
+const NO_UNUSED_VARS = ["error", {
+  caughtErrors: "all",
+  caughtErrorsIgnorePattern: "^_+",
+  argsIgnorePattern: "^_+",
+  destructuredArrayIgnorePattern: "^_+",
+  varsIgnorePattern: "^_+"
+}]
+
+/**
+ * Core ESLint rules that catch bugs rather than style. `recommended` is the
+ * problem-type half of `eslint:recommended` plus the suggestions that guard
+ * against real mistakes; `strict` adds the rest of `eslint:recommended` and
+ * a few rules it leaves out (loose equality, `var`, dead loops).
+ *
+ * @param {"recommended" | "strict"} level - How much to enable
+ * @returns {{[ruleName: string]: RuleEntry}} Core rules
+ */
+function correctnessRules(level) {
+  /** @type {{[ruleName: string]: RuleEntry}} */
+  const recommended = {
+    "constructor-super": "error",
+    "for-direction": "error",
+    "getter-return": "error",
+    "no-async-promise-executor": "error",
+    "no-case-declarations": "error",
+    "no-class-assign": "error",
+    "no-compare-neg-zero": "error",
+    "no-cond-assign": "error",
+    "no-const-assign": "error",
+    "no-constant-binary-expression": "error",
+    "no-constant-condition": "error",
+    "no-control-regex": "error",
+    "no-debugger": "error",
+    "no-delete-var": "error",
+    "no-dupe-args": "error",
+    "no-dupe-class-members": "error",
+    "no-dupe-else-if": "error",
+    "no-dupe-keys": "error",
+    "no-duplicate-case": "error",
+    "no-empty-character-class": "error",
+    "no-empty-pattern": "error",
+    "no-ex-assign": "error",
+    "no-fallthrough": "error",
+    "no-func-assign": "error",
+    "no-global-assign": "error",
+    "no-import-assign": "error",
+    "no-invalid-regexp": "error",
+    "no-irregular-whitespace": "error",
+    "no-loss-of-precision": "error",
+    "no-misleading-character-class": "error",
+    "no-new-native-nonconstructor": "error",
+    "no-nonoctal-decimal-escape": "error",
+    "no-obj-calls": "error",
+    "no-octal": "error",
+    "no-prototype-builtins": "error",
+    "no-redeclare": "error",
+    "no-self-assign": "error",
+    "no-setter-return": "error",
+    "no-shadow-restricted-names": "error",
+    "no-sparse-arrays": "error",
+    "no-this-before-super": "error",
+    "no-undef": "error",
+    "no-unexpected-multiline": "error",
+    "no-unreachable": "error",
+    "no-unsafe-finally": "error",
+    "no-unsafe-negation": "error",
+    "no-unsafe-optional-chaining": "error",
+    "no-unused-labels": "error",
+    "no-unused-private-class-members": "error",
+    "no-unused-vars": NO_UNUSED_VARS,
+    "no-useless-assignment": "error",
+    "no-useless-backreference": "error",
+    "no-useless-catch": "error",
+    "no-with": "error",
+    "require-yield": "error",
+    "use-isnan": "error",
+    "valid-typeof": "error",
+  }
+
+  if(level !== "strict")
+    return recommended
+
+  return {
+    ...recommended,
+    "array-callback-return": "error",
+    "eqeqeq": ["error", "smart"],
+    "no-constructor-return": "error",
+    "no-empty": ["error", {allowEmptyCatch: true}],
+    "no-empty-static-block": "error",
+    "no-eval": "error",
+    "no-extra-boolean-cast": "error",
+    "no-implied-eval": "error",
+    "no-new-func": "error",
+    "no-new-wrappers": "error",
+    "no-promise-executor-return": "error",
+    "no-regex-spaces": "error",
+    "no-self-compare": "error",
+    "no-template-curly-in-string": "error",
+    "no-throw-literal": "error",
+    "no-unmodified-loop-condition": "error",
+    "no-unreachable-loop": "error",
+    "no-useless-escape": "error",
+    "no-var": "error",
+    "prefer-promise-reject-errors": "error",
+  }
+}
+
+/**
+ * Node.js globals, plus the fetch API the `globals` package lists as browser
+ * only.
+ *
+ * @type {{[name: string]: boolean | string}}
+ */
+const NODE_GLOBALS = {
+  ...globals.node,
+  fetch: "readonly",
+  Headers: "readonly",
+}
+
+/**
+ * Globals `bun test` injects (the `bun:test` exports, Jest-style).
+ *
+ * @type {{[name: string]: boolean}}
+ */
+const BUN_TEST_GLOBALS = Object.fromEntries([
+  "afterAll", "afterEach", "beforeAll", "beforeEach", "describe", "expect",
+  "it", "jest", "mock", "setSystemTime", "spyOn", "test",
+].map(name => [name, false]))
+
+/**
+ * Globals each supported test framework injects. `node:test` has none: its
+ * `describe`/`it` are imported like anything else.
+ *
+ * @type {{[framework: string]: {[name: string]: boolean}}}
+ */
+const TEST_FRAMEWORK_GLOBALS = {
+  "node-test": {},
+  "mocha": globals.mocha,
+  "jest": globals.jest,
+  "vitest": globals.vitest,
+  "bun": BUN_TEST_GLOBALS,
+}
+
+/**
+ * CommonJS globals Deno doesn't provide, with the module-scoped replacement
+ * to use instead.
+ *
+ * @type {Array<{name: string, message: string}>}
+ */
+const DENO_RESTRICTED_GLOBALS = [
+  {name: "require", message: "Deno has no require(). Use import instead."},
+  {name: "module", message: "Deno has no module object. Use export instead."},
+  {name: "exports", message: "Deno has no exports object. Use export instead."},
+  {name: "__dirname", message: "Use import.meta.dirname instead."},
+  {name: "__filename", message: "Use import.meta.filename instead."},
+]
+
+/**
+ * Browser globals that only exist on a page with a DOM. Worker runtimes don't
+ * define them, so any use in worker code is a bug waiting for production.
+ *
+ * @type {Array<string>}
+ */
+const DOM_ONLY_GLOBALS = [
+  "window", "document", "localStorage", "sessionStorage", "alert", "confirm",
+  "prompt", "history", "parent", "top", "opener", "frames", "DOMParser",
+  "XMLSerializer", "MutationObserver", "IntersectionObserver",
+  "ResizeObserver", "getComputedStyle", "matchMedia", "customElements",
+  "HTMLElement", "Element", "Node",
+]
+
+/**
+ * A `no-restricted-globals` entry that reports every DOM-only global.
+ *
+ * @param {string} runtime - Runtime named in the message ("Web Workers")
+ * @returns {RuleEntry} Rule entry
+ */
+function noDomGlobals(runtime) {
+  return ["error", ...DOM_ONLY_GLOBALS.map(name => ({
+    name,
+    message: `${runtime} have no DOM.`,
+  }))]
+}
+
+/**
+ * Node.js builtins that share their name with a browser package on npm
+ * (`events`, `buffer`, ...). A bare import of one of these can resolve to
+ * that package instead, so blocks that allow it leave these names out.
+ *
+ * @type {Array<string>}
+ */
+const BROWSER_PACKAGE_BUILTINS = [
+  "assert", "buffer", "events", "process", "punycode", "string_decoder",
+  "url", "util",
+]
+
+/**
+ * A `no-restricted-imports` entry that reports every Node.js builtin, bare or
+ * `node:` prefixed, for code that runs somewhere Node.js doesn't.
+ *
+ * @param {string} message - Why the import is not allowed
+ * @param {Array<string>} [extra] - Further module names to report
+ * @param {Array<string>} [allowed] - Builtins whose bare name is allowed
+ * @returns {RuleEntry} Rule entry
+ */
+function noNodeImports(message, extra = [], allowed = []) {
+  const builtins = builtinModules.filter(name => !allowed.includes(name))
+
+  return ["error", {
+    paths: [...extra, ...builtins].map(name => ({name, message})),
+    patterns: [{group: ["node:*"], message}],
+  }]
+}
+
+/**
+ * Extension API namespaces content scripts can't reach. They only get
+ * `runtime` messaging, `storage`, `i18n` and `dom`; everything else has to go
+ * through the background script.
+ *
+ * @type {Array<string>}
+ */
+const EXTENSION_ONLY_APIS = [
+  "action", "alarms", "bookmarks", "browserAction", "browsingData",
+  "commands", "contextMenus", "cookies", "debugger", "declarativeNetRequest",
+  "devtools", "downloads", "history", "identity", "management", "menus",
+  "notifications", "offscreen", "omnibox", "pageAction", "permissions",
+  "proxy", "scripting", "sessions", "sidePanel", "tabGroups", "tabs",
+  "topSites", "webNavigation", "webRequest", "windows",
+]
+
+/**
+ * A `no-restricted-properties` entry that reports extension-only APIs on both
+ * the `chrome` and `browser` namespaces.
+ *
+ * @type {RuleEntry}
+ */
+const NO_EXTENSION_ONLY_APIS = ["error", ...["chrome", "browser"].flatMap(
+  object => EXTENSION_ONLY_APIS.map(property => ({
+    object,
+    property,
+    message: "Content scripts can't use it. Message the background " +
+      "script with runtime.sendMessage() instead.",
+  }))
+)]
+
+/**
+ * Globals Tauri injects into the webview, by major version. `__TAURI__` is
+ * only there with `withGlobalTauri`, so it isn't listed.
+ *
+ * @type {{[version: number]: {[name: string]: "readonly"}}}
+ */
+const TAURI_GLOBALS = {
+  1: {__TAURI_METADATA__: "readonly", __TAURI_IPC__: "readonly"},
+  2: {__TAURI_INTERNALS__: "readonly"},
+}
 
 /**
  * Registry of named configuration blocks.
  * Each config is a factory function that returns an ESLint flat config object.
+ * Custom blocks are added at runtime through `registerConfig()`.
  *
- * @type {{[K in ConfigName]: (options?: object) => FlatConfig | Array<FlatConfig>}}
+ * @type {{[name: string]: BlockFactory}}
  */
 const CONFIGS = {
   /**
@@ -190,6 +932,7 @@ const CONFIGS = {
       ignores = [],
       indent = 2,
       maxLen = 80,
+      quotes = "double",
       overrides = {},
     } = options
 
@@ -198,98 +941,15 @@ const CONFIGS = {
       files: Array.isArray(files) ? files : [files],
       ignores: Array.isArray(ignores) ? ignores : [ignores],
       plugins: {
-        "@stylistic": stylistic,
+        "@stylistic": load("@stylistic/eslint-plugin"),
       },
       rules: {
-        "@stylistic/arrow-parens": ["error", "as-needed"],
-        "@stylistic/arrow-spacing": ["error", {before: true, after: true}],
-        "@stylistic/brace-style": ["error", "1tbs", {allowSingleLine: false}],
-        "@stylistic/nonblock-statement-body-position": ["error", "below"],
-        "@stylistic/padding-line-between-statements": [
-          "error",
-          {blankLine: "always", prev: "if", next: "*"},
-          {blankLine: "always", prev: "*", next: "return"},
-          {blankLine: "always", prev: "while", next: "*"},
-          {blankLine: "always", prev: "for", next: "*"},
-          {blankLine: "always", prev: "switch", next: "*"},
-          {blankLine: "always", prev: "do", next: "*"},
-          {blankLine: "always", prev: "directive", next: "*"},
-          {blankLine: "any", prev: "directive", next: "directive"},
-        ],
-        "@stylistic/eol-last": ["error", "always"],
-        "@stylistic/indent": ["error", indent, {
-          SwitchCase: 1
-        }],
-        "@stylistic/key-spacing": ["error", {beforeColon: false, afterColon: true}],
-        "@stylistic/keyword-spacing": ["error", {
-          before: false,
-          after: true,
-          overrides: {
-            // Control statements
-            return: {before: true, after: true},
-            if: {after: false},
-            else: {before: true, after: true},
-            for: {after: false},
-            while: {before: true, after: false},
-            do: {after: true},
-            switch: {after: false},
-            case: {before: true, after: true},
-            throw: {before: true, after: false},
-
-            // Keywords
-            as: {before: true, after: true},
-            of: {before: true, after: true},
-            from: {before: true, after: true},
-            async: {before: true, after: true},
-            await: {before: true, after: false},
-            with: {before: true, after: true},
-            class: {before: true, after: true},
-            const: {before: true, after: true},
-            let: {before: true, after: true},
-            var: {before: true, after: true},
-
-            // Exception handling
-            catch: {before: true, after: true},
-            finally: {before: true, after: true},
-          }
-        }],
-        "@stylistic/space-before-blocks": ["error", "always"],
-        "@stylistic/max-len": ["warn", {
-          code: maxLen,
-          ignoreComments: true,
-          ignoreUrls: true,
-          ignoreStrings: true,
-          ignoreTemplateLiterals: true,
-          ignoreRegExpLiterals: true,
-          tabWidth: indent
-        }],
-        "@stylistic/no-tabs": "error",
-        "@stylistic/no-trailing-spaces": ["error"],
-        "@stylistic/object-curly-spacing": ["error", "never", {
-          objectsInObjects: false,
-          arraysInObjects: false
-        }],
-        "@stylistic/quotes": ["error", "double", {
-          avoidEscape: true,
-          allowTemplateLiterals: "always",
-        }],
-        "@stylistic/semi": ["error", "never"],
-        "@stylistic/space-before-function-paren": ["error", "never"],
-        "@stylistic/yield-star-spacing": ["error", {before: true, after: false}],
+        ...houseStyle({indent, maxLen, quotes}),
         "constructor-super": "error",
         "no-unexpected-multiline": "error",
-        "no-unused-vars": ["error", {
-          caughtErrors: "all",
-          caughtErrorsIgnorePattern: "^_+",
-          argsIgnorePattern: "^_+",
-          destructuredArrayIgnorePattern: "^_+",
-          varsIgnorePattern: "^_+"
-        }],
+        "no-unused-vars": NO_UNUSED_VARS,
         "no-useless-assignment": "error",
         "prefer-const": "error",
-        "@stylistic/no-multiple-empty-lines": ["error", {max: 1}],
-        "@stylistic/array-bracket-spacing": ["error", "never"],
-        "@stylistic/no-extra-semi": "error",
         ...overrides,
       }
     }
@@ -299,21 +959,23 @@ const CONFIGS = {
    * JSDoc linting rules
    *
    * @param {LintsJsdocOptions} options - Configuration options
-   * @returns {FlatConfig} ESLint flat config object
+   * @param {BlockContext} [context] - Composition context
+   * @returns {FlatConfig | Array<FlatConfig>} ESLint flat config(s)
    */
-  "lints-jsdoc": (options = {}) => {
+  "lints-jsdoc": (options = {}, context = {}) => {
     const {
       files = ["src/**/*.{js,mjs,cjs}"],
       ignores = [],
       overrides = {},
     } = options
 
-    return {
+    /** @type {FlatConfig} */
+    const config = {
       name: "gesslar/uglier/lints-jsdoc",
       files: Array.isArray(files) ? files : [files],
       ignores: Array.isArray(ignores) ? ignores : [ignores],
       plugins: {
-        jsdoc,
+        jsdoc: load("eslint-plugin-jsdoc"),
       },
       rules: {
         "jsdoc/require-description": "error",
@@ -334,6 +996,280 @@ const CONFIGS = {
         }
       }
     }
+
+    if(!context.selected?.includes("tests"))
+      return config
+
+    // Test helpers don't need documenting, whatever else lints-jsdoc covers
+    const {files: testFiles} =
+      /** @type {FlatConfig} */ (CONFIGS.tests(context.options?.tests))
+
+    return [
+      config,
+      {
+        name: "gesslar/uglier/lints-jsdoc/tests",
+        files: testFiles,
+        plugins: {
+          jsdoc: load("eslint-plugin-jsdoc"),
+        },
+        rules: Object.fromEntries(Object.keys(config.rules)
+          .filter(ruleId => ruleId.startsWith("jsdoc/require-"))
+          .map(ruleId => [ruleId, "off"])),
+      },
+    ]
+  },
+
+  /**
+   * TypeScript stylistic rules (house style + type annotation spacing). The
+   * style and overrides follow lints-js when it is selected.
+   *
+   * @param {LintsTsOptions} options - Configuration options
+   * @param {BlockContext} [context] - Composition context
+   * @returns {FlatConfig} ESLint flat config object
+   */
+  "lints-ts": (options = {}, context = {}) => {
+    const lintsJs = context.options?.["lints-js"] ?? {}
+    const {
+      files = ["src/**/*.{ts,tsx,mts,cts}"],
+      ignores = [],
+      indent = lintsJs.indent ?? 2,
+      maxLen = lintsJs.maxLen ?? 80,
+      quotes = lintsJs.quotes ?? "double",
+      parserOptions = {},
+      overrides = {},
+    } = options
+
+    return {
+      name: "gesslar/uglier/lints-ts",
+      files: Array.isArray(files) ? files : [files],
+      ignores: Array.isArray(ignores) ? ignores : [ignores],
+      languageOptions: {
+        parser: load("@typescript-eslint/parser"),
+        parserOptions,
+      },
+      plugins: {
+        "@stylistic": load("@stylistic/eslint-plugin"),
+      },
+      rules: {
+        ...lintsJsRules({indent, maxLen, quotes, overrides: lintsJs.overrides}),
+        "@stylistic/type-annotation-spacing": ["error", {
+          before: false,
+          after: true,
+        }],
+        "@stylistic/member-delimiter-style": ["error", {
+          multiline: {delimiter: "none"},
+          singleline: {delimiter: "comma", requireLast: false},
+        }],
+        "@stylistic/type-generic-spacing": "error",
+        "@stylistic/type-named-tuple-spacing": "error",
+        ...overrides,
+      }
+    }
+  },
+
+  /**
+   * JSX stylistic rules (indent and quotes follow lints-js)
+   *
+   * @param {LintsJsxOptions} options - Configuration options
+   * @param {BlockContext} [context] - Composition context
+   * @returns {FlatConfig} ESLint flat config object
+   */
+  "lints-jsx": (options = {}, context = {}) => {
+    const {
+      files = ["src/**/*.{js,jsx,mjs,cjs}"],
+      ignores = [],
+      indent = context.options?.["lints-js"]?.indent ?? 2,
+      quotes = context.options?.["lints-js"]?.quotes ?? "double",
+      overrides = {},
+    } = options
+
+    return {
+      name: "gesslar/uglier/lints-jsx",
+      files: Array.isArray(files) ? files : [files],
+      ignores: Array.isArray(ignores) ? ignores : [ignores],
+      languageOptions: {
+        parserOptions: {
+          ecmaFeatures: {jsx: true},
+        },
+      },
+      plugins: {
+        "@stylistic": load("@stylistic/eslint-plugin"),
+      },
+      rules: {
+        "@stylistic/jsx-quotes": ["error", `prefer-${quotes}`],
+        "@stylistic/jsx-indent-props": ["error", indent],
+        "@stylistic/jsx-closing-bracket-location": ["error", "line-aligned"],
+        "@stylistic/jsx-closing-tag-location": ["error", "line-aligned"],
+        "@stylistic/jsx-curly-spacing": ["error", {
+          when: "never",
+          children: true,
+        }],
+        "@stylistic/jsx-equals-spacing": ["error", "never"],
+        "@stylistic/jsx-tag-spacing": ["error", {
+          closingSlash: "never",
+          beforeSelfClosing: "always",
+          afterOpening: "never",
+          beforeClosing: "never",
+        }],
+        "@stylistic/jsx-self-closing-comp": ["error", {
+          component: true,
+          html: true,
+        }],
+        ...overrides,
+      }
+    }
+  },
+
+  /**
+   * JSON linting rules (@eslint/json + uglier whitespace conventions)
+   *
+   * @param {LintsJsonOptions} options - Configuration options
+   * @returns {Array<FlatConfig>} ESLint flat config array
+   */
+  "lints-json": (options = {}) => {
+    const {
+      files = ["**/*.json"],
+      ignores = ["**/package-lock.json"],
+      jsonc = ["**/*.jsonc", "**/tsconfig*.json", "**/jsconfig*.json",
+        ".vscode/*.json"],
+      indent = 2,
+      overrides = {},
+    } = options
+
+    const json = load("@eslint/json")
+    const jsoncFiles = Array.isArray(jsonc) ? jsonc : [jsonc]
+    const ignoreFiles = Array.isArray(ignores) ? ignores : [ignores]
+    /** @type {FlatConfig} */
+    const shared = {
+      plugins: {
+        json,
+        uglier,
+      },
+      rules: {
+        ...json.configs.recommended.rules,
+        "uglier/json-indent": ["error", indent],
+        "uglier/no-trailing-spaces": "error",
+        "uglier/eol-last": "error",
+        ...overrides,
+      }
+    }
+
+    return [
+      {
+        name: "gesslar/uglier/lints-json",
+        files: Array.isArray(files) ? files : [files],
+        ignores: [...ignoreFiles, ...jsoncFiles],
+        language: "json/json",
+        ...shared,
+      },
+      {
+        // Config files that allow comments and trailing commas
+        name: "gesslar/uglier/lints-json/jsonc",
+        files: jsoncFiles,
+        ignores: ignoreFiles,
+        language: "json/jsonc",
+        languageOptions: {
+          allowTrailingCommas: true,
+        },
+        ...shared,
+      },
+    ]
+  },
+
+  /**
+   * Markdown linting rules (@eslint/markdown + uglier whitespace conventions)
+   *
+   * @param {LintsMarkdownOptions} options - Configuration options
+   * @param {BlockContext} [context] - Composition context
+   * @returns {Array<FlatConfig>} ESLint flat config array
+   */
+  "lints-markdown": (options = {}, context = {}) => {
+    const {
+      files = ["**/*.md"],
+      ignores = [],
+      flavor = "gfm",
+      codeBlocks = false,
+      overrides = {},
+    } = options
+
+    const markdownFiles = Array.isArray(files) ? files : [files]
+    const ignoreFiles = Array.isArray(ignores) ? ignores : [ignores]
+    const markdown = load("@eslint/markdown")
+    const [recommended] = markdown.configs.recommended
+    /** @type {Array<FlatConfig>} */
+    const configs = [
+      {
+        name: "gesslar/uglier/lints-markdown",
+        files: markdownFiles,
+        ignores: ignoreFiles,
+        language: `markdown/${flavor}`,
+        plugins: {
+          markdown,
+          uglier,
+        },
+        rules: {
+          ...recommended.rules,
+          "uglier/no-trailing-spaces": ["error", {hardBreaks: true}],
+          "uglier/eol-last": "error",
+          ...overrides,
+        }
+      },
+    ]
+
+    if(!codeBlocks)
+      return configs
+
+    return [
+      ...configs,
+      {
+        name: "gesslar/uglier/lints-markdown/processor",
+        files: markdownFiles,
+        ignores: ignoreFiles,
+        plugins: {
+          uglier,
+        },
+        processor: "uglier/markdown",
+      },
+      {
+        // Fenced js/mjs/cjs blocks, linted with the lints-js house style
+        name: "gesslar/uglier/lints-markdown/code-blocks",
+        files: markdownFiles.map(pattern => `${pattern}/*.{js,mjs,cjs}`),
+        languageOptions: {
+          parserOptions: {
+            ecmaFeatures: {impliedStrict: true},
+          },
+        },
+        plugins: {
+          "@stylistic": load("@stylistic/eslint-plugin"),
+        },
+        rules: lintsJsRules(context.options?.["lints-js"]),
+      },
+    ]
+  },
+
+  /**
+   * Core correctness rules (undefined variables, unreachable code, etc.)
+   *
+   * @param {LintsCorrectnessOptions} options - Configuration options
+   * @returns {FlatConfig} ESLint flat config object
+   */
+  "lints-correctness": (options = {}) => {
+    const {
+      files = ["src/**/*.{js,mjs,cjs}"],
+      ignores = [],
+      level = "recommended",
+      overrides = {},
+    } = options
+
+    return {
+      name: "gesslar/uglier/lints-correctness",
+      files: Array.isArray(files) ? files : [files],
+      ignores: Array.isArray(ignores) ? ignores : [ignores],
+      rules: {
+        ...correctnessRules(level),
+        ...overrides,
+      }
+    }
   },
 
   /**
@@ -386,155 +1322,179 @@ const CONFIGS = {
   },
 
   /**
-   * VSCode extension globals
+   * Dedicated Web Worker globals (no DOM)
    *
    * @param {EnvironmentOptions} options - Configuration options
    * @returns {FlatConfig} ESLint flat config object
    */
-  "vscode-extension": (options = {}) => {
+  "worker": (options = {}) => {
     const {
-      files = ["src/**/*.{js,mjs,cjs}"],
+      files = ["src/**/*.worker.{js,mjs,cjs}", "src/workers/**/*.{js,mjs,cjs}"],
       ignores = [],
       additionalGlobals = {},
     } = options
 
     return {
-      name: "gesslar/uglier/vscode-extension",
+      name: "gesslar/uglier/worker",
       files: Array.isArray(files) ? files : [files],
       ignores: Array.isArray(ignores) ? ignores : [ignores],
       languageOptions: {
         globals: {
-          acquireVsCodeApi: "readonly",
+          ...globals.worker,
           ...additionalGlobals,
         }
+      },
+      rules: {
+        "no-restricted-globals": noDomGlobals("Web Workers"),
       }
     }
   },
 
   /**
-   * Node.js globals
+   * Service Worker globals (no DOM)
    *
    * @param {EnvironmentOptions} options - Configuration options
    * @returns {FlatConfig} ESLint flat config object
    */
-  "node": (options = {}) => {
+  "service-worker": (options = {}) => {
     const {
-      files = ["src/**/*.{js,mjs,cjs}"],
+      files = ["{src,public}/**/{sw,service-worker}.{js,mjs}", "src/**/*.sw.{js,mjs}"],
       ignores = [],
       additionalGlobals = {},
     } = options
 
     return {
-      name: "gesslar/uglier/node",
+      name: "gesslar/uglier/service-worker",
       files: Array.isArray(files) ? files : [files],
       ignores: Array.isArray(ignores) ? ignores : [ignores],
       languageOptions: {
         globals: {
-          ...globals.node,
-          fetch: "readonly",
-          Headers: "readonly",
+          ...globals.serviceworker,
           ...additionalGlobals,
         }
+      },
+      rules: {
+        "no-restricted-globals": noDomGlobals("Service Workers"),
       }
     }
   },
 
   /**
-   * React application globals
+   * Edge runtime globals, Cloudflare Workers style (no DOM)
    *
    * @param {EnvironmentOptions} options - Configuration options
    * @returns {FlatConfig} ESLint flat config object
    */
-  "react": (options = {}) => {
+  "edge-worker": (options = {}) => {
     const {
-      files = ["src/**/*.{js,jsx,mjs,cjs}"],
+      files = ["src/**/*.{js,mjs}"],
       ignores = [],
       additionalGlobals = {},
     } = options
 
     return {
-      name: "gesslar/uglier/react",
+      name: "gesslar/uglier/edge-worker",
       files: Array.isArray(files) ? files : [files],
       ignores: Array.isArray(ignores) ? ignores : [ignores],
       languageOptions: {
+        sourceType: "module",
         globals: {
-          ...globals.browser,
-          React: "readonly",
-          ReactDOM: "readonly",
+          ...globals.serviceworker,
+          HTMLRewriter: "readonly",
+          WebSocketPair: "readonly",
           ...additionalGlobals,
         }
+      },
+      rules: {
+        "no-restricted-globals": noDomGlobals("Edge workers"),
       }
     }
   },
 
   /**
-   * CommonJS file override
+   * VSCode extension host (Node.js globals, vscode module, no DOM)
    *
-   * @param {ModuleOverrideOptions} options - Configuration options
+   * @param {EnvironmentOptions} options - Configuration options
    * @returns {FlatConfig} ESLint flat config object
    */
-  "cjs-override": (options = {}) => {
+  "vscode-extension-host": (options = {}) => {
     const {
-      files = ["**/*.cjs"],
+      files = ["src/**/*.{js,mjs,cjs}"],
       ignores = [],
+      additionalGlobals = {},
     } = options
 
     return {
-      name: "gesslar/uglier/cjs-override",
+      name: "gesslar/uglier/vscode-extension-host",
       files: Array.isArray(files) ? files : [files],
       ignores: Array.isArray(ignores) ? ignores : [ignores],
       languageOptions: {
-        sourceType: "script",
-        ecmaVersion: 2021
+        globals: {
+          ...NODE_GLOBALS,
+          ...additionalGlobals,
+        }
       },
+      rules: {
+        "no-restricted-globals": noDomGlobals("Extension hosts"),
+      }
     }
   },
 
   /**
-   * ES Module file override
+   * VSCode webview scripts (browser + acquireVsCodeApi, no Node.js)
    *
-   * @param {ModuleOverrideOptions} options - Configuration options
+   * @param {EnvironmentOptions} options - Configuration options
    * @returns {FlatConfig} ESLint flat config object
    */
-  "mjs-override": (options = {}) => {
+  "vscode-webview": (options = {}) => {
     const {
-      files = ["**/*.mjs"],
+      files = ["media/**/*.{js,mjs}", "webview-ui/src/**/*.{js,mjs,jsx}"],
       ignores = [],
+      additionalGlobals = {},
     } = options
 
+    const message = "Webviews have no Node.js. Post a message to the " +
+      "extension host with acquireVsCodeApi().postMessage() instead."
+
     return {
-      name: "gesslar/uglier/mjs-override",
+      name: "gesslar/uglier/vscode-webview",
       files: Array.isArray(files) ? files : [files],
       ignores: Array.isArray(ignores) ? ignores : [ignores],
       languageOptions: {
-        sourceType: "module",
-        ecmaVersion: 2021
+        globals: {
+          ...globals.browser,
+          acquireVsCodeApi: "readonly",
+          ...additionalGlobals,
+        }
+      },
+      rules: {
+        "no-restricted-globals": ["error", {name: "require", message}],
+        "no-restricted-imports": noNodeImports(message, ["vscode"]),
       }
     }
   },
 
   /**
-   * Docusaurus documentation site globals (browser + React + Docusaurus)
+   * Deprecated: the old combined VSCode extension block, kept as it was
+   * (acquireVsCodeApi only) so existing configs lint the same
    *
    * @param {EnvironmentOptions} options - Configuration options
    * @returns {FlatConfig} ESLint flat config object
    */
-  "docusaurus": (options = {}) => {
+  "vscode-extension": (options = {}) => {
     const {
-      files = ["src/**/*.{js,jsx,mjs,cjs}", "docs/**/*.{js,jsx,mjs,cjs}"],
+      files = ["src/**/*.{js,mjs,cjs}"],
       ignores = [],
       additionalGlobals = {},
     } = options
 
     return {
-      name: "gesslar/uglier/docusaurus",
+      name: "gesslar/uglier/vscode-extension",
       files: Array.isArray(files) ? files : [files],
       ignores: Array.isArray(ignores) ? ignores : [ignores],
       languageOptions: {
         globals: {
-          ...globals.browser,
-          React: "readonly",
-          ReactDOM: "readonly",
+          acquireVsCodeApi: "readonly",
           ...additionalGlobals,
         }
       }
@@ -542,41 +1502,78 @@ const CONFIGS = {
   },
 
   /**
-   * Starlight documentation site (browser + Astro + eslint-plugin-astro)
+   * Node.js globals
    *
    * @param {EnvironmentOptions} options - Configuration options
+   * @returns {FlatConfig} ESLint flat config object
+   */
+  "node": (options = {}) => {
+    const {
+      files = ["src/**/*.{js,mjs,cjs}"],
+      ignores = [],
+      additionalGlobals = {},
+    } = options
+
+    return {
+      name: "gesslar/uglier/node",
+      files: Array.isArray(files) ? files : [files],
+      ignores: Array.isArray(ignores) ? ignores : [ignores],
+      languageOptions: {
+        globals: {
+          ...NODE_GLOBALS,
+          ...additionalGlobals,
+        }
+      }
+    }
+  },
+
+  /**
+   * Bun runtime globals (node + Bun, bun:test globals in test files)
+   *
+   * @param {BunOptions} options - Configuration options
    * @returns {Array<FlatConfig>} ESLint flat config array
    */
-  "starlight": (options = {}) => {
+  "bun": (options = {}) => {
     const {
-      files = ["src/**/*.{js,mjs,cjs}", "docs/**/*.{js,mjs,cjs}"],
+      files = ["src/**/*.{js,mjs,cjs}"],
       ignores = [],
+      testFiles = ["**/*.{test,spec}.*", "**/*_{test,spec}.*"],
       additionalGlobals = {},
     } = options
 
+    const ignoreFiles = Array.isArray(ignores) ? ignores : [ignores]
+
     return [
-      ...astro.configs["flat/recommended"],
       {
-        name: "gesslar/uglier/starlight",
+        name: "gesslar/uglier/bun",
         files: Array.isArray(files) ? files : [files],
-        ignores: Array.isArray(ignores) ? ignores : [ignores],
+        ignores: ignoreFiles,
         languageOptions: {
           globals: {
-            ...globals.browser,
+            ...NODE_GLOBALS,
+            ...globals.bunBuiltin,
             ...additionalGlobals,
           }
         }
       },
+      {
+        name: "gesslar/uglier/bun/tests",
+        files: Array.isArray(testFiles) ? testFiles : [testFiles],
+        ignores: ignoreFiles,
+        languageOptions: {
+          globals: BUN_TEST_GLOBALS,
+        }
+      },
     ]
   },
 
   /**
-   * Tauri application configuration (browser + Tauri APIs, no Node.js)
+   * Deno runtime globals (Deno namespace + web APIs, no CommonJS)
    *
    * @param {EnvironmentOptions} options - Configuration options
    * @returns {FlatConfig} ESLint flat config object
    */
-  "tauri": (options = {}) => {
+  "deno": (options = {}) => {
     const {
       files = ["src/**/*.{js,mjs,cjs}"],
       ignores = [],
@@ -584,63 +1581,1545 @@ const CONFIGS = {
     } = options
 
     return {
-      name: "gesslar/uglier/tauri",
+      name: "gesslar/uglier/deno",
       files: Array.isArray(files) ? files : [files],
       ignores: Array.isArray(ignores) ? ignores : [ignores],
       languageOptions: {
+        sourceType: "module",
         globals: {
-          ...globals.browser,
-          __TAURI__: "readonly",
-          __TAURI_METADATA__: "readonly",
+          ...globals.denoBuiltin,
           ...additionalGlobals,
         }
+      },
+      rules: {
+        // npm:, jsr: and node: specifiers are plain imports as far as these
+        // rules are concerned; only the CommonJS globals are off limits
+        "no-restricted-globals": ["error", ...DENO_RESTRICTED_GLOBALS],
       }
     }
   },
-}
 
-/**
- * Compose ESLint configuration from named config blocks
- *
- * @param {UglierOptions} [options] - Composition options
- * @returns {Array<FlatConfig>} ESLint flat config array
- */
-export default function(options = {}) {
-  const {
+  /**
+   * React application globals
+   *
+   * @param {EnvironmentOptions} options - Configuration options
+   * @returns {FlatConfig} ESLint flat config object
+   */
+  "react": (options = {}) => {
+    const {
+      files = ["src/**/*.{js,jsx,mjs,cjs}"],
+      ignores = [],
+      additionalGlobals = {},
+    } = options
+
+    return {
+      name: "gesslar/uglier/react",
+      files: Array.isArray(files) ? files : [files],
+      ignores: Array.isArray(ignores) ? ignores : [ignores],
+      languageOptions: {
+        globals: {
+          ...globals.browser,
+          React: "readonly",
+          ReactDOM: "readonly",
+          ...additionalGlobals,
+        }
+      }
+    }
+  },
+
+  /**
+   * CommonJS file override
+   *
+   * @param {ModuleOverrideOptions} options - Configuration options
+   * @returns {FlatConfig} ESLint flat config object
+   */
+  "cjs-override": (options = {}) => {
+    const {
+      files = ["**/*.cjs"],
+      ignores = [],
+    } = options
+
+    return {
+      name: "gesslar/uglier/cjs-override",
+      files: Array.isArray(files) ? files : [files],
+      ignores: Array.isArray(ignores) ? ignores : [ignores],
+      languageOptions: {
+        sourceType: "script",
+        ecmaVersion: 2021
+      },
+    }
+  },
+
+  /**
+   * ES Module file override
+   *
+   * @param {ModuleOverrideOptions} options - Configuration options
+   * @returns {FlatConfig} ESLint flat config object
+   */
+  "mjs-override": (options = {}) => {
+    const {
+      files = ["**/*.mjs"],
+      ignores = [],
+    } = options
+
+    return {
+      name: "gesslar/uglier/mjs-override",
+      files: Array.isArray(files) ? files : [files],
+      ignores: Array.isArray(ignores) ? ignores : [ignores],
+      languageOptions: {
+        sourceType: "module",
+        ecmaVersion: 2021
+      }
+    }
+  },
+
+  /**
+   * Docusaurus documentation site globals (browser + React + Docusaurus)
+   *
+   * @param {EnvironmentOptions} options - Configuration options
+   * @returns {FlatConfig} ESLint flat config object
+   */
+  "docusaurus": (options = {}) => {
+    const {
+      files = ["src/**/*.{js,jsx,mjs,cjs}", "docs/**/*.{js,jsx,mjs,cjs}"],
+      ignores = [],
+      additionalGlobals = {},
+    } = options
+
+    return {
+      name: "gesslar/uglier/docusaurus",
+      files: Array.isArray(files) ? files : [files],
+      ignores: Array.isArray(ignores) ? ignores : [ignores],
+      languageOptions: {
+        globals: {
+          ...globals.browser,
+          React: "readonly",
+          ReactDOM: "readonly",
+          ...additionalGlobals,
+        }
+      }
+    }
+  },
+
+  /**
+   * Starlight documentation site (browser + Astro + eslint-plugin-astro)
+   *
+   * @param {EnvironmentOptions} options - Configuration options
+   * @returns {Array<FlatConfig>} ESLint flat config array
+   */
+  "starlight": (options = {}) => {
+    const {
+      files = ["src/**/*.{js,mjs,cjs}", "docs/**/*.{js,mjs,cjs}"],
+      ignores = [],
+      additionalGlobals = {},
+    } = options
+
+    return [
+      ...load("eslint-plugin-astro").configs["flat/recommended"],
+      {
+        name: "gesslar/uglier/starlight",
+        files: Array.isArray(files) ? files : [files],
+        ignores: Array.isArray(ignores) ? ignores : [ignores],
+        languageOptions: {
+          globals: {
+            ...globals.browser,
+            ...additionalGlobals,
+          }
+        }
+      },
+    ]
+  },
+
+  /**
+   * Vue single-file components (browser + Vue macros + vue-eslint-parser)
+   *
+   * @param {EnvironmentOptions} options - Configuration options
+   * @param {BlockContext} [context] - Composition context
+   * @returns {FlatConfig} ESLint flat config object
+   */
+  "vue": (options = {}, context = {}) => {
+    const {
+      files = ["src/**/*.vue"],
+      ignores = [],
+      additionalGlobals = {},
+    } = options
+
+    return {
+      name: "gesslar/uglier/vue",
+      files: Array.isArray(files) ? files : [files],
+      ignores: Array.isArray(ignores) ? ignores : [ignores],
+      languageOptions: {
+        parser: load("vue-eslint-parser"),
+        parserOptions: {
+          ecmaVersion: "latest",
+          sourceType: "module",
+        },
+        globals: {
+          ...globals.browser,
+          ...globals.vue,
+          ...additionalGlobals,
+        }
+      },
+      ...lintsJsStyle(context),
+    }
+  },
+
+  /**
+   * Svelte components (browser + runes + eslint-plugin-svelte)
+   *
+   * @param {EnvironmentOptions} options - Configuration options
+   * @param {BlockContext} [context] - Composition context
+   * @returns {Array<FlatConfig>} ESLint flat config array
+   */
+  "svelte": (options = {}, context = {}) => {
+    const {
+      files = ["src/**/*.svelte", "src/**/*.svelte.{js,ts}"],
+      ignores = [],
+      additionalGlobals = {},
+    } = options
+
+    return [
+      ...load("eslint-plugin-svelte").configs.base,
+      {
+        name: "gesslar/uglier/svelte",
+        files: Array.isArray(files) ? files : [files],
+        ignores: Array.isArray(ignores) ? ignores : [ignores],
+        languageOptions: {
+          globals: {
+            ...globals.browser,
+            // Runes ($state, $derived, $props, $effect, ...) are readonly
+            ...globals.svelte,
+            ...additionalGlobals,
+          }
+        },
+        ...lintsJsStyle(context),
+      },
+    ]
+  },
+
+  /**
+   * Test files (Node globals + test framework globals)
+   *
+   * @param {TestsOptions} options - Configuration options
+   * @param {BlockContext} [context] - Composition context
+   * @returns {FlatConfig} ESLint flat config object
+   */
+  "tests": (options = {}, context = {}) => {
+    const {
+      files = ["tests/**", "**/*.test.*"],
+      ignores = [],
+      framework = "node-test",
+      additionalGlobals = {},
+    } = options
+
+    return {
+      name: "gesslar/uglier/tests",
+      files: Array.isArray(files) ? files : [files],
+      ignores: Array.isArray(ignores) ? ignores : [ignores],
+      languageOptions: {
+        globals: {
+          ...globals.node,
+          ...TEST_FRAMEWORK_GLOBALS[framework],
+          ...additionalGlobals,
+        }
+      },
+      ...lintsJsStyle(context),
+    }
+  },
+
+  /**
+   * Root-level tooling files (config files, build scripts) with Node globals
+   *
+   * @param {EnvironmentOptions} options - Configuration options
+   * @param {BlockContext} [context] - Composition context
+   * @returns {FlatConfig} ESLint flat config object
+   */
+  "config-files": (options = {}, context = {}) => {
+    const {
+      files = ["*.config.{js,mjs,cjs}", "**/scripts/**/*.{js,mjs,cjs}"],
+      ignores = [],
+      additionalGlobals = {},
+    } = options
+
+    return {
+      name: "gesslar/uglier/config-files",
+      files: Array.isArray(files) ? files : [files],
+      ignores: Array.isArray(ignores) ? ignores : [ignores],
+      languageOptions: {
+        globals: {
+          ...globals.node,
+          ...additionalGlobals,
+        }
+      },
+      ...lintsJsStyle(context),
+    }
+  },
+
+  /**
+   * Electron main process (Node.js globals)
+   *
+   * @param {EnvironmentOptions} options - Configuration options
+   * @returns {FlatConfig} ESLint flat config object
+   */
+  "electron-main": (options = {}) => {
+    const {
+      files = ["src/main/**/*.{js,mjs,cjs}"],
+      ignores = [],
+      additionalGlobals = {},
+    } = options
+
+    return {
+      name: "gesslar/uglier/electron-main",
+      files: Array.isArray(files) ? files : [files],
+      ignores: Array.isArray(ignores) ? ignores : [ignores],
+      languageOptions: {
+        globals: {
+          ...NODE_GLOBALS,
+          ...additionalGlobals,
+        }
+      }
+    }
+  },
+
+  /**
+   * Electron preload scripts (browser + Node.js globals)
+   *
+   * @param {EnvironmentOptions} options - Configuration options
+   * @returns {FlatConfig} ESLint flat config object
+   */
+  "electron-preload": (options = {}) => {
+    const {
+      files = ["src/preload/**/*.{js,mjs,cjs}"],
+      ignores = [],
+      additionalGlobals = {},
+    } = options
+
+    return {
+      name: "gesslar/uglier/electron-preload",
+      files: Array.isArray(files) ? files : [files],
+      ignores: Array.isArray(ignores) ? ignores : [ignores],
+      languageOptions: {
+        globals: {
+          ...globals.browser,
+          ...NODE_GLOBALS,
+          ...additionalGlobals,
+        }
+      }
+    }
+  },
+
+  /**
+   * Electron renderer process (browser globals, no electron/Node imports)
+   *
+   * @param {EnvironmentOptions} options - Configuration options
+   * @returns {FlatConfig} ESLint flat config object
+   */
+  "electron-renderer": (options = {}) => {
+    const {
+      files = ["src/renderer/**/*.{js,mjs,cjs}"],
+      ignores = [],
+      additionalGlobals = {},
+    } = options
+
+    return {
+      name: "gesslar/uglier/electron-renderer",
+      files: Array.isArray(files) ? files : [files],
+      ignores: Array.isArray(ignores) ? ignores : [ignores],
+      languageOptions: {
+        globals: {
+          ...globals.browser,
+          ...additionalGlobals,
+        }
+      },
+      rules: {
+        "no-restricted-imports": noNodeImports(
+          "The renderer has no Node.js. Expose what you need from the " +
+          "preload script with contextBridge.",
+          ["electron"]
+        ),
+      }
+    }
+  },
+
+  /**
+   * Browser extension background, content scripts and popup
+   *
+   * @param {WebExtensionOptions} options - Configuration options
+   * @returns {Array<FlatConfig>} ESLint flat config array
+   */
+  "webextension": (options = {}) => {
+    const {
+      files = ["src/popup/**/*.{js,mjs,cjs}"],
+      ignores = [],
+      background = ["src/background/**/*.{js,mjs,cjs}"],
+      contentScripts = ["src/content/**/*.{js,mjs,cjs}"],
+      additionalGlobals = {},
+    } = options
+
+    const ignoreFiles = Array.isArray(ignores) ? ignores : [ignores]
+    const contentFiles =
+      Array.isArray(contentScripts) ? contentScripts : [contentScripts]
+
+    return [
+      {
+        name: "gesslar/uglier/webextension",
+        files: Array.isArray(files) ? files : [files],
+        ignores: ignoreFiles,
+        languageOptions: {
+          globals: {
+            ...globals.browser,
+            ...globals.webextensions,
+            ...additionalGlobals,
+          }
+        }
+      },
+      {
+        name: "gesslar/uglier/webextension/background",
+        files: Array.isArray(background) ? background : [background],
+        ignores: ignoreFiles,
+        languageOptions: {
+          globals: {
+            ...globals.serviceworker,
+            ...globals.webextensions,
+            ...additionalGlobals,
+          }
+        }
+      },
+      {
+        name: "gesslar/uglier/webextension/content-scripts",
+        files: contentFiles,
+        ignores: ignoreFiles,
+        languageOptions: {
+          globals: {
+            ...globals.browser,
+            ...globals.webextensions,
+            ...additionalGlobals,
+          }
+        },
+        rules: {
+          "no-restricted-properties": NO_EXTENSION_ONLY_APIS,
+        }
+      },
+    ]
+  },
+
+  /**
+   * Greasemonkey/Tampermonkey userscripts (GM APIs + metadata header)
+   *
+   * @param {UserscriptOptions} options - Configuration options
+   * @returns {FlatConfig} ESLint flat config object
+   */
+  "userscript": (options = {}) => {
+    const {
+      files = ["**/*.user.js"],
+      ignores = [],
+      requiredKeys = ["name", "match", "version"],
+      additionalGlobals = {},
+    } = options
+
+    return {
+      name: "gesslar/uglier/userscript",
+      files: Array.isArray(files) ? files : [files],
+      ignores: Array.isArray(ignores) ? ignores : [ignores],
+      languageOptions: {
+        sourceType: "script",
+        globals: {
+          ...globals.browser,
+          ...globals.greasemonkey,
+          ...additionalGlobals,
+        }
+      },
+      plugins: {
+        uglier,
+      },
+      rules: {
+        "uglier/userscript-header": ["error", {required: requiredKeys}],
+      }
+    }
+  },
+
+  /**
+   * Tauri application configuration (browser + Tauri APIs, no Node.js)
+   *
+   * @param {TauriOptions} options - Configuration options
+   * @returns {FlatConfig} ESLint flat config object
+   */
+  "tauri": (options = {}) => {
+    const {
+      files = ["src/**/*.{js,mjs,cjs}"],
+      ignores = [],
+      version = 2,
+      withGlobalTauri = false,
+      additionalGlobals = {},
+    } = options
+
+    return {
+      name: "gesslar/uglier/tauri",
+      files: Array.isArray(files) ? files : [files],
+      ignores: Array.isArray(ignores) ? ignores : [ignores],
+      languageOptions: {
+        globals: {
+          ...globals.browser,
+          ...TAURI_GLOBALS[version],
+          ...(withGlobalTauri && {__TAURI__: "readonly"}),
+          ...additionalGlobals,
+        }
+      },
+      rules: {
+        "no-restricted-imports": noNodeImports(
+          "The Tauri frontend runs in a webview without Node.js. Use " +
+          "@tauri-apps/api or a Tauri plugin instead.",
+          [],
+          BROWSER_PACKAGE_BUILTINS
+        ),
+      }
+    }
+  },
+
+}
+
+/**
+ * Options shared by every block that targets files
+ *
+ * @type {OptionsSchema}
+ */
+const FILES_SCHEMA = {
+  files: {type: ["string", "array"]},
+  ignores: {type: ["string", "array"]},
+}
+
+/**
+ * Options shared by the environment blocks
+ *
+ * @type {OptionsSchema}
+ */
+const ENVIRONMENT_SCHEMA = {
+  ...FILES_SCHEMA,
+  additionalGlobals: {type: "object"},
+}
+
+/**
+ * Top-level `uglify()` options shared by every selected block
+ *
+ * @type {OptionsSchema}
+ */
+const SHARED_SCHEMA = {
+  ...FILES_SCHEMA,
+  basePath: {type: "string"},
+}
+
+/**
+ * Metadata for every config block, keyed by block name. Each block declares
+ * the schema its options are validated against and the packages it loads.
+ *
+ * @type {{[name: string]: BlockMeta}}
+ */
+const CONFIG_META = {
+  "lints-js": {
+    description: "Core stylistic linting rules",
+    category: "lint",
+    sharedFiles: true,
+    plugins: ["@stylistic/eslint-plugin"],
+    schema: {
+      ...FILES_SCHEMA,
+      indent: {type: "number"},
+      maxLen: {type: "number"},
+      quotes: {enum: ["double", "single"]},
+      overrides: {type: "object"},
+    },
+  },
+  "lints-jsdoc": {
+    description: "JSDoc linting rules",
+    category: "lint",
+    sharedFiles: true,
+    plugins: ["eslint-plugin-jsdoc"],
+    schema: {
+      ...FILES_SCHEMA,
+      overrides: {type: "object"},
+    },
+  },
+  "lints-ts": {
+    description:
+      "TypeScript stylistic rules (house style + type annotation spacing)",
+    category: "lint",
+    plugins: ["@typescript-eslint/parser", "@stylistic/eslint-plugin"],
+    schema: {
+      ...FILES_SCHEMA,
+      indent: {type: "number"},
+      maxLen: {type: "number"},
+      quotes: {enum: ["double", "single"]},
+      parserOptions: {type: "object"},
+      overrides: {type: "object"},
+    },
+  },
+  "lints-jsx": {
+    description: "JSX stylistic rules (indent and quotes follow lints-js)",
+    category: "lint",
+    sharedFiles: true,
+    plugins: ["@stylistic/eslint-plugin"],
+    schema: {
+      ...FILES_SCHEMA,
+      indent: {type: "number"},
+      quotes: {enum: ["double", "single"]},
+      overrides: {type: "object"},
+    },
+  },
+  "lints-correctness": {
+    description:
+      "Core correctness rules (undefined variables, unreachable code, etc.)",
+    category: "lint",
+    sharedFiles: true,
+    schema: {
+      ...FILES_SCHEMA,
+      level: {enum: ["recommended", "strict"]},
+      overrides: {type: "object"},
+    },
+  },
+  "lints-json": {
+    description:
+      "JSON linting rules (@eslint/json + uglier whitespace conventions)",
+    category: "lint",
+    plugins: ["@eslint/json"],
+    schema: {
+      ...FILES_SCHEMA,
+      jsonc: {type: ["string", "array"]},
+      indent: {type: "number"},
+      overrides: {type: "object"},
+    },
+  },
+  "lints-markdown": {
+    description:
+      "Markdown linting rules (@eslint/markdown + uglier whitespace " +
+      "conventions)",
+    category: "lint",
+    plugins: ["@eslint/markdown", "@stylistic/eslint-plugin"],
+    schema: {
+      ...FILES_SCHEMA,
+      flavor: {enum: ["gfm", "commonmark"]},
+      codeBlocks: {type: "boolean"},
+      overrides: {type: "object"},
+    },
+  },
+  "languageOptions": {
+    description: "Language options configuration",
+    category: "environment",
+    schema: {
+      ecmaVersion: {type: ["string", "number"]},
+      sourceType: {enum: ["module", "script", "commonjs"]},
+      additionalGlobals: {type: "object"},
+    },
+  },
+  "web": {
+    description: "Browser/web globals configuration",
+    category: "environment",
+    sharedFiles: true,
+    schema: ENVIRONMENT_SCHEMA,
+  },
+  "worker": {
+    description: "Dedicated Web Worker globals (no DOM)",
+    category: "environment",
+    schema: ENVIRONMENT_SCHEMA,
+  },
+  "service-worker": {
+    description: "Service Worker globals (no DOM)",
+    category: "environment",
+    schema: ENVIRONMENT_SCHEMA,
+  },
+  "edge-worker": {
+    description: "Edge runtime globals, Cloudflare Workers style (no DOM)",
+    category: "environment",
+    schema: ENVIRONMENT_SCHEMA,
+  },
+  "vscode-extension-host": {
+    description:
+      "VSCode extension host (Node.js globals, vscode module, no DOM)",
+    category: "environment",
+    sharedFiles: true,
+    schema: ENVIRONMENT_SCHEMA,
+  },
+  "vscode-webview": {
+    description:
+      "VSCode webview scripts (browser + acquireVsCodeApi, no Node.js)",
+    category: "environment",
+    schema: ENVIRONMENT_SCHEMA,
+  },
+  "vscode-extension": {
+    description: "Deprecated: VSCode extension (acquireVsCodeApi global)",
+    category: "environment",
+    sharedFiles: true,
+    schema: ENVIRONMENT_SCHEMA,
+    replacedBy: ["vscode-extension-host", "vscode-webview"],
+  },
+  "node": {
+    description: "Node.js globals",
+    category: "environment",
+    sharedFiles: true,
+    schema: ENVIRONMENT_SCHEMA,
+  },
+  "deno": {
+    description:
+      "Deno runtime globals (Deno namespace + web APIs, no CommonJS)",
+    category: "environment",
+    sharedFiles: true,
+    schema: ENVIRONMENT_SCHEMA,
+  },
+  "bun": {
+    description:
+      "Bun runtime globals (node + Bun, bun:test globals in test files)",
+    category: "environment",
+    sharedFiles: true,
+    schema: {
+      ...ENVIRONMENT_SCHEMA,
+      testFiles: {type: ["string", "array"]},
+    },
+  },
+  "react": {
+    description: "React application globals",
+    category: "environment",
+    sharedFiles: true,
+    schema: ENVIRONMENT_SCHEMA,
+  },
+  "cjs-override": {
+    description: "CommonJS file override",
+    category: "override",
+    schema: FILES_SCHEMA,
+  },
+  "mjs-override": {
+    description: "ES Module file override",
+    category: "override",
+    schema: FILES_SCHEMA,
+  },
+  "docusaurus": {
+    description:
+      "Docusaurus documentation site globals (browser + React + Docusaurus)",
+    category: "environment",
+    sharedFiles: true,
+    schema: ENVIRONMENT_SCHEMA,
+  },
+  "starlight": {
+    description:
+      "Starlight documentation site (browser + Astro + eslint-plugin-astro)",
+    category: "environment",
+    sharedFiles: true,
+    plugins: ["eslint-plugin-astro"],
+    schema: ENVIRONMENT_SCHEMA,
+  },
+  "tests": {
+    description: "Test files (Node globals + test framework globals)",
+    category: "environment",
+    plugins: ["@stylistic/eslint-plugin"],
+    schema: {
+      ...ENVIRONMENT_SCHEMA,
+      framework: {enum: Object.keys(TEST_FRAMEWORK_GLOBALS)},
+    },
+  },
+  "config-files": {
+    description:
+      "Root-level tooling files (config files, build scripts) with Node " +
+      "globals",
+    category: "environment",
+    plugins: ["@stylistic/eslint-plugin"],
+    schema: ENVIRONMENT_SCHEMA,
+  },
+  "electron-main": {
+    description: "Electron main process (Node.js globals)",
+    category: "environment",
+    schema: ENVIRONMENT_SCHEMA,
+  },
+  "electron-preload": {
+    description: "Electron preload scripts (browser + Node.js globals)",
+    category: "environment",
+    schema: ENVIRONMENT_SCHEMA,
+  },
+  "electron-renderer": {
+    description:
+      "Electron renderer process (browser globals, no electron/Node imports)",
+    category: "environment",
+    schema: ENVIRONMENT_SCHEMA,
+  },
+  "webextension": {
+    description: "Browser extension background, content scripts and popup",
+    category: "environment",
+    schema: {
+      ...ENVIRONMENT_SCHEMA,
+      background: {type: ["string", "array"]},
+      contentScripts: {type: ["string", "array"]},
+    },
+  },
+  "userscript": {
+    description:
+      "Greasemonkey/Tampermonkey userscripts (GM APIs + metadata header)",
+    category: "environment",
+    schema: {
+      ...ENVIRONMENT_SCHEMA,
+      requiredKeys: {type: "array"},
+    },
+  },
+  "tauri": {
+    description:
+      "Tauri application configuration (browser + Tauri APIs, no Node.js)",
+    category: "environment",
+    sharedFiles: true,
+    schema: {
+      ...ENVIRONMENT_SCHEMA,
+      version: {enum: [1, 2]},
+      withGlobalTauri: {type: "boolean"},
+    },
+  },
+  "vue": {
+    description:
+      "Vue single-file components (browser + Vue macros + vue-eslint-parser)",
+    category: "environment",
+    plugins: ["vue-eslint-parser", "@stylistic/eslint-plugin"],
+    schema: ENVIRONMENT_SCHEMA,
+  },
+  "svelte": {
+    description: "Svelte components (browser + runes + eslint-plugin-svelte)",
+    category: "environment",
+    plugins: ["eslint-plugin-svelte", "@stylistic/eslint-plugin"],
+    schema: ENVIRONMENT_SCHEMA,
+  },
+}
+
+/**
+ * Registry of named presets. Each preset expands into the listed config
+ * blocks before `without` is applied.
+ *
+ * @type {{[K in PresetName]: PresetMeta}}
+ */
+const PRESETS = {
+  "preset:node-library": {
+    description: "Node.js library (stylistic, JSDoc, Node globals, CommonJS override)",
+    blocks: [
+      "lints-js", "lints-jsdoc", "languageOptions", "node", "cjs-override",
+    ],
+  },
+  "preset:tauri-app": {
+    description: "Tauri desktop app (stylistic, JSDoc, browser + Tauri globals)",
+    blocks: ["lints-js", "lints-jsdoc", "languageOptions", "tauri"],
+  },
+  "preset:vscode-extension": {
+    description:
+      "VSCode extension (stylistic, JSDoc, extension host + webview globals)",
+    blocks: [
+      "lints-js", "lints-jsdoc", "languageOptions", "vscode-extension-host",
+      "vscode-webview", "cjs-override",
+    ],
+  },
+}
+
+/**
+ * Print a warning, unless it has already been printed
+ *
+ * @param {string} message - Warning to print
+ */
+function warnOnce(message) {
+  if(warned.has(message))
+    return
+
+  warned.add(message)
+  console.warn(message)
+}
+
+/**
+ * Expand preset names into their member config blocks, dropping
+ * duplicates while preserving first-seen order.
+ *
+ * @param {Array<string>} names - Config and preset names
+ * @returns {Array<string>} Config block names
+ * @throws {Error} When a preset name is unknown
+ */
+function expandPresets(names) {
+  const expanded = names.flatMap(name => {
+    if(!name.startsWith(PRESET_PREFIX))
+      return [name]
+
+    if(!Object.hasOwn(PRESETS, name)) {
+      throw new Error(
+        `Unknown preset: "${name}". Available: ${Object.keys(PRESETS).join(", ")}`
+      )
+    }
+
+    return PRESETS[name].blocks
+  })
+
+  return [...new Set(expanded)]
+}
+
+/**
+ * Compute the Levenshtein edit distance between two strings
+ *
+ * @param {string} a - First string
+ * @param {string} b - Second string
+ * @returns {number} Number of single-character edits between the two
+ */
+function levenshtein(a, b) {
+  let previous = Array.from({length: b.length + 1}, (_, i) => i)
+
+  for(let i = 1; i <= a.length; i++) {
+    const current = [i]
+
+    for(let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1
+
+      current[j] = Math.min(
+        previous[j] + 1,
+        current[j - 1] + 1,
+        previous[j - 1] + cost
+      )
+    }
+
+    previous = current
+  }
+
+  return previous[b.length]
+}
+
+/**
+ * Build a "did you mean" hint for a misspelled name
+ *
+ * @param {string} input - The unrecognised name
+ * @param {Array<string>} candidates - Valid names
+ * @returns {string} Hint sentence prefixed with a space, or an empty string
+ */
+function didYouMean(input, candidates) {
+  const needle = String(input).toLowerCase()
+  const threshold = Math.max(2, Math.ceil(needle.length / 3))
+  let best = null
+  let bestDistance = Infinity
+
+  for(const candidate of candidates) {
+    const distance = levenshtein(needle, String(candidate).toLowerCase())
+
+    if(distance < bestDistance) {
+      best = candidate
+      bestDistance = distance
+    }
+  }
+
+  return bestDistance <= threshold ? ` Did you mean "${best}"?` : ""
+}
+
+/**
+ * Describe the type of a value using schema type names
+ *
+ * @param {unknown} value - Value to inspect
+ * @returns {string} Schema type name, or "null"
+ */
+function typeOf(value) {
+  if(value === null)
+    return "null"
+
+  return Array.isArray(value) ? "array" : typeof value
+}
+
+/**
+ * Ensure every name is a known config block
+ *
+ * @param {Array<string>} names - Config names to check
+ * @param {string} source - Where the names came from, for error messages
+ * @throws {Error} When a name is not a registered config block
+ */
+function assertKnownConfigs(names, source) {
+  const known = availableConfigs
+
+  for(const name of names) {
+    if(Object.hasOwn(CONFIGS, name))
+      continue
+
+    throw new Error(
+      `Unknown config: "${name}" in "${source}".${didYouMean(name, known)} ` +
+      `Available: ${known.join(", ")}`
+    )
+  }
+}
+
+/**
+ * Validate a block's options against its declared schema
+ *
+ * @param {string} name - Config block name
+ * @param {unknown} options - Options supplied for the block
+ * @param {OptionsSchema} [schema] - Schema declared by the block
+ * @throws {Error} When an option is unknown or has the wrong type or value
+ */
+function validateOptions(name, options, schema) {
+  if(typeOf(options) !== "object")
+    throw new Error(`Options for "${name}" must be an object, got ${typeOf(options)}`)
+
+  if(!schema)
+    return
+
+  const known = Object.keys(schema)
+
+  for(const [key, value] of Object.entries(options)) {
+    if(!Object.hasOwn(schema, key)) {
+      throw new Error(
+        `Unknown option "${key}" for config "${name}".${didYouMean(key, known)} ` +
+        `Valid options: ${known.join(", ")}`
+      )
+    }
+
+    const {type, enum: allowed} = schema[key]
+    const types = /** @type {Array<string>} */ ([type ?? []].flat())
+
+    if(types.length > 0 && !types.includes(typeOf(value))) {
+      throw new Error(
+        `Option "${key}" for config "${name}" must be of type ` +
+        `${types.join(" or ")}, got ${typeOf(value)}`
+      )
+    }
+
+    if(allowed && !allowed.includes(value)) {
+      const hint = typeof value === "string" ? didYouMean(value, allowed.map(String)) : ""
+
+      throw new Error(
+        `Option "${key}" for config "${name}" must be one of ` +
+        `${allowed.map(v => JSON.stringify(v)).join(", ")}, got ` +
+        `${JSON.stringify(value)}.${hint}`
+      )
+    }
+  }
+}
+
+/**
+ * The top-level `files` and `ignores` a block takes as its own defaults.
+ * Only blocks that accept the option get it. `files` only goes to blocks
+ * whose metadata opts in with `sharedFiles`: the rest lint another file type
+ * (JSON, Markdown, tests, workers, ...) and keep their own patterns.
+ *
+ * @param {string} name - Config block name
+ * @param {{files?: string | Array<string>, ignores?: string | Array<string>}} shared - Top-level options
+ * @returns {{files?: string | Array<string>, ignores?: string | Array<string>}} Defaults for the block
+ */
+function sharedDefaults(name, shared) {
+  const {schema = {}, sharedFiles = false} = CONFIG_META[name] ?? {}
+
+  return Object.fromEntries(Object.entries(shared).filter(([key, value]) =>
+    value !== undefined
+    && Object.hasOwn(schema, key)
+    && (key !== "files" || sharedFiles)))
+}
+
+/**
+ * Find the packages in `plugins` that can't be resolved
+ *
+ * @param {Array<string>} [plugins] - Packages to look for
+ * @returns {Array<string>} Packages that aren't installed
+ */
+function missingPlugins(plugins = []) {
+  return plugins.filter(plugin => {
+    try {
+      import.meta.resolve(plugin)
+
+      return false
+    } catch(error) {
+      return error.code === "ERR_MODULE_NOT_FOUND"
+    }
+  })
+}
+
+/**
+ * Make sure every package a block loads is installed. Framework plugins are
+ * optional peer dependencies, so a project only has the ones it uses.
+ *
+ * @param {string} name - Name of the block
+ * @param {Array<string>} [plugins] - Packages the block loads
+ * @throws {Error} When a package is missing, with the command to install it
+ */
+function assertPluginsInstalled(name, plugins) {
+  const missing = missingPlugins(plugins)
+
+  if(missing.length === 0)
+    return
+
+  const {installCmd} = getPackageManagerInfo()
+
+  throw new Error(
+    `Config "${name}" needs ${missing.map(p => `"${p}"`).join(", ")}, ` +
+    `which ${missing.length === 1 ? "is" : "are"} not installed. ` +
+    `Install with: ${installCmd} ${missing.join(" ")}`
+  )
+}
+
+/**
+ * Load (once) the ESLint linter and core rule registry
+ *
+ * @returns {{linter: object, builtinRules: Map<string, object>}} ESLint internals
+ */
+function getEslintInternals() {
+  if(!eslintInternals) {
+    const {Linter} = load("eslint")
+    const {builtinRules} = load("eslint/use-at-your-own-risk")
+
+    eslintInternals = {linter: new Linter({configType: "flat"}), builtinRules}
+  }
+
+  return eslintInternals
+}
+
+/**
+ * Determine whether a rule entry turns the rule off
+ *
+ * @param {RuleEntry} entry - Rule severity or configuration
+ * @returns {boolean} True when the rule is disabled
+ */
+function isRuleOff(entry) {
+  const severity = Array.isArray(entry) ? entry[0] : entry
+
+  return severity === "off" || severity === 0
+}
+
+/**
+ * Describe the replacements a deprecated rule points to
+ *
+ * @param {string} prefix - Plugin prefix of the deprecated rule ("" for core)
+ * @param {object} meta - Rule metadata
+ * @returns {Array<string>} Human-readable replacement names
+ */
+function getReplacements(prefix, meta) {
+  const scoped = name => (prefix ? `${prefix}/${name}` : name)
+
+  if(typeof meta.deprecated === "object" && meta.deprecated.replacedBy) {
+    return meta.deprecated.replacedBy
+      .filter(replacement => replacement.rule?.name)
+      .map(({rule, plugin}) => (plugin?.name
+        ? `${rule.name} (from ${plugin.name})`
+        : scoped(rule.name)))
+  }
+
+  return (meta.replacedBy ?? []).map(scoped)
+}
+
+/**
+ * Check a block's rule overrides against the rules of the plugins the block
+ * registers (and ESLint core), validate each override's options against the
+ * rule's schema, and warn about deprecated rules. Overrides for plugins the
+ * block does not register are left for ESLint to resolve.
+ *
+ * @param {string} name - Config block name
+ * @param {RuleOverrides} overrides - Overrides supplied for the block
+ * @param {Array<FlatConfig>} configs - Flat configs produced by the block
+ * @throws {Error} When a rule is unknown or its options are invalid
+ */
+function validateOverrides(name, overrides, configs) {
+  const plugins = Object.assign({}, ...configs.map(c => c.plugins ?? {}))
+  // Plugin rules for other languages (JSON, Markdown) only validate there
+  const language = configs.find(c => c.language)?.language
+  const {linter, builtinRules} = getEslintInternals()
+
+  for(const [ruleId, entry] of Object.entries(overrides)) {
+    const slash = ruleId.lastIndexOf("/")
+    const prefix = slash === -1 ? "" : ruleId.slice(0, slash)
+    const ruleName = ruleId.slice(slash + 1)
+
+    if(prefix && !Object.hasOwn(plugins, prefix))
+      continue
+
+    const rules = prefix
+      ? new Map(Object.entries(plugins[prefix].rules ?? {}))
+      : builtinRules
+
+    if(!rules.has(ruleName)) {
+      const candidates = [...rules.keys()]
+        .map(candidate => (prefix ? `${prefix}/${candidate}` : candidate))
+
+      throw new Error(
+        `Unknown rule "${ruleId}" in "${name}" overrides.` +
+        didYouMean(ruleId, candidates)
+      )
+    }
+
+    const meta = rules.get(ruleName).meta ?? {}
+
+    try {
+      // ESLint checks the options against the rule's schema; a stand-in
+      // with the same meta keeps the rule itself (and any warnings it
+      // prints) from running
+      linter.verify("", [{
+        plugins: {
+          ...plugins,
+          [OVERRIDE_CHECK]: {rules: {[ruleName]: {meta, create: () => ({})}}},
+        },
+        ...(language && {language}),
+        rules: {[`${OVERRIDE_CHECK}/${ruleName}`]: entry},
+      }])
+    } catch(error) {
+      const details = [...new Set(error.message
+        .replace(/^Key "rules": Key "[^"]+":/, "")
+        .split("\n")
+        .map(line => line.trim())
+        .filter(Boolean))]
+
+      throw new Error(
+        `Invalid options for rule "${ruleId}" in "${name}" overrides: ` +
+        details.join(" "),
+        {cause: error}
+      )
+    }
+
+    if(meta.deprecated && !isRuleOff(entry)) {
+      const replacements = getReplacements(prefix, meta)
+      const advice = replacements.length > 0
+        ? ` Use ${replacements.map(r => `"${r}"`).join(" or ")} instead.`
+        : ""
+      warnOnce(
+        `[uglier] Rule "${ruleId}" in "${name}" overrides is deprecated.${advice}`
+      )
+    }
+  }
+}
+
+/**
+ * Match a file against a config the way ESLint does: patterns are relative
+ * to the config's `basePath` (or the working directory), an array in `files`
+ * needs all of its patterns to match, a config without `files` matches every
+ * file, and a pattern ending in `/` covers a whole directory.
+ *
+ * @param {FlatConfig} config - Config object to match
+ * @param {string} filePath - Absolute path of the file
+ * @returns {{matched: boolean, ignored: boolean}} Whether `files` matches the
+ *   file, and whether `ignores` excludes it
+ */
+function matchFile(config, filePath) {
+  const path = relative(resolve(config.basePath ?? ""), filePath)
+    .split(sep)
+    .join("/")
+
+  if(path === "" || path.startsWith("..") || isAbsolute(path))
+    return {matched: false, ignored: false}
+
+  const {minimatch} = load("minimatch")
+  const match = pattern => typeof pattern === "function"
+    ? pattern(filePath)
+    : minimatch(
+      path,
+      pattern.replace(/^\.\//, "").replace(/\/$/, "/**"),
+      {dot: true}
+    )
+  const ignored = (config.ignores ?? []).reduce((ignored, pattern) =>
+    typeof pattern === "string" && pattern.startsWith("!")
+      ? ignored && !match(pattern.slice(1))
+      : ignored || match(pattern), false)
+  const matched = !config.files || config.files.some(pattern =>
+    Array.isArray(pattern) ? pattern.every(match) : match(pattern))
+
+  return {matched, ignored}
+}
+
+/**
+ * Determine whether a config only holds global `ignores`
+ *
+ * @param {FlatConfig} config - Config object to check
+ * @returns {boolean} True for a global ignores config
+ */
+function isGlobalIgnore(config) {
+  return Object.keys(config)
+    .filter(key => key !== "name" && key !== "basePath")
+    .join() === "ignores"
+}
+
+/**
+ * Name a rule severity, as ESLint accepts both numbers and names
+ *
+ * @param {number | string} severity - Rule severity
+ * @returns {"off" | "warn" | "error"} Severity name
+ */
+function severityName(severity) {
+  return ["off", "warn", "error"][severity] ?? String(severity).toLowerCase()
+}
+
+/**
+ * Compose ESLint configuration from named config blocks
+ *
+ * @param {UglierOptions} [options] - Composition options
+ * @returns {Array<FlatConfig>} ESLint flat config array
+ */
+export default function uglify(options = {}) {
+  const {
     with: includeConfigs = ["lints-js", "lints-jsdoc"],
     without: excludeConfigs = [],
     options: perConfigOptions = {},
+    files,
+    ignores,
+    basePath,
   } = options
 
-  const configs = []
+  for(const [key, value] of Object.entries({files, ignores, basePath})) {
+    const types =
+      /** @type {Array<string>} */ ([SHARED_SCHEMA[key].type].flat())
 
-  for(const configName of includeConfigs) {
-    if(excludeConfigs.includes(configName)) {
-      continue
+    if(value !== undefined && !types.includes(typeOf(value))) {
+      throw new Error(
+        `Option "${key}" must be of type ${types.join(" or ")}, ` +
+        `got ${typeOf(value)}`
+      )
     }
+  }
+
+  const excluded = expandPresets(excludeConfigs)
+
+  assertKnownConfigs(excluded, "without")
+
+  const selected = expandPresets(includeConfigs)
+    .filter(configName => !excluded.includes(configName))
+
+  assertKnownConfigs(selected, "with")
+
+  for(const [configName, configOptions] of Object.entries(perConfigOptions)) {
+    assertKnownConfigs([configName], "options")
 
-    if(!CONFIGS[configName]) {
+    if(!selected.includes(configName)) {
       throw new Error(
-        `Unknown config: "${configName}". Available: ${Object.keys(CONFIGS).join(", ")}`
+        `Options provided for "${configName}", but it is not selected. ` +
+        `Add it to "with" or remove its options.`
+      )
+    }
+
+    validateOptions(configName, configOptions, CONFIG_META[configName]?.schema)
+  }
+
+  const configs = []
+
+  for(const configName of selected) {
+    const {plugins, replacedBy} = CONFIG_META[configName] ?? {}
+
+    assertPluginsInstalled(configName, plugins)
+
+    if(replacedBy) {
+      warnOnce(
+        `[uglier] "${configName}" is deprecated. ` +
+        `Use ${replacedBy.map(block => `"${block}"`).join(" and ")} instead.`
       )
     }
+  }
+
+  const blockOptions = Object.fromEntries(selected.map(configName => [
+    configName,
+    {
+      ...sharedDefaults(configName, {files, ignores}),
+      ...perConfigOptions[configName],
+    },
+  ]))
+
+  for(const configName of selected) {
+    const configOptions = blockOptions[configName]
+    const config = CONFIGS[configName](configOptions, {
+      selected,
+      options: blockOptions,
+    })
 
-    const configOptions = perConfigOptions[configName] || {}
-    const config = CONFIGS[configName](configOptions)
+    if(typeOf(configOptions.overrides) === "object")
+      validateOverrides(configName, configOptions.overrides, [config].flat())
 
-    if(Array.isArray(config))
-      configs.push(...config)
-    else
-      configs.push(config)
+    for(const built of [config].flat().map(config =>
+      basePath === undefined || config.basePath !== undefined
+        ? config
+        : {...config, basePath})) {
+      ORIGINS.set(built, {
+        block: configName,
+        overrides: configOptions.overrides ?? {},
+      })
+      configs.push(built)
+    }
   }
 
   return configs
 }
 
 /**
- * All available config block names
+ * All available config block names, including registered custom blocks
  *
- * @type {Array<ConfigName>}
+ * @type {Array<BlockName>}
  */
 export const availableConfigs =
-  /** @type {Array<ConfigName>} */ (Object.keys(CONFIGS))
+  /** @type {Array<BlockName>} */ (Object.keys(CONFIGS)
+    .filter(name => !CONFIG_META[name]?.replacedBy))
+
+/**
+ * All available preset names
+ *
+ * @type {Array<PresetName>}
+ */
+export const availablePresets =
+  /** @type {Array<PresetName>} */ (Object.keys(PRESETS))
+
+/**
+ * Describe every available preset
+ *
+ * @returns {Array<PresetDescription>} One description per preset, in order
+ */
+export function describePresets() {
+  return availablePresets.map(name => ({
+    name,
+    description: PRESETS[name].description,
+    blocks: [...PRESETS[name].blocks],
+  }))
+}
+
+/**
+ * Describe every available config block, custom blocks included. Each block
+ * is built with its default options to find its files and rules, so this
+ * loads the plugins of every installed block.
+ *
+ * @returns {Array<BlockDescription>} One description per block, in order
+ */
+export function describeConfigs() {
+  return availableConfigs.map(name => {
+    const {
+      description = null,
+      category = "environment",
+      schema = null,
+      plugins = [],
+    } = CONFIG_META[name] ?? {}
+    const built = missingPlugins(plugins).length === 0
+    /** @type {Array<FlatConfig>} */
+    const configs = built
+      ? [CONFIGS[name]({}, {selected: [name], options: {}})].flat()
+      : []
+    const main =
+      configs.find(config => config.name === `gesslar/uglier/${name}`)
+      ?? configs.find(config => config.files)
+      ?? configs[0]
+
+    return {
+      name,
+      description,
+      category,
+      files: built ? main?.files ?? [] : null,
+      ignores: built ? main?.ignores ?? [] : null,
+      schema,
+      plugins,
+      rules: built
+        ? [...new Set(configs.flatMap(({rules = {}}) => Object.keys(rules)))]
+        : null,
+    }
+  })
+}
+
+/**
+ * Explain where the rules and globals ESLint uses for a file come from.
+ * `options` are composed with `uglify()`; an already composed config array
+ * (e.g. the default export of `eslint.config.js`) is used as it is, with
+ * configs `uglify()` didn't build attributed by their `name`. Later configs
+ * win, and a severity-only setting keeps the options of the one before it,
+ * as in ESLint.
+ *
+ * @param {UglierOptions | Array<FlatConfig>} options - Composition options
+ *   or a composed config array
+ * @param {string} filePath - File to explain, relative to the working
+ *   directory or absolute
+ * @returns {Explanation} Blocks, rules and globals that apply to the file
+ * @throws {Error} When no file path is given
+ */
+export function explain(options, filePath) {
+  if(typeof filePath !== "string" || filePath.trim() === "")
+    throw new Error("explain() needs the path of the file to explain.")
+
+  const configs = Array.isArray(options) ? options : uglify(options)
+  const absolute = resolve(filePath)
+  /** @type {Explanation} */
+  const explanation = {
+    file: relative(resolve(), absolute).split(sep).join("/"),
+    ignored: false,
+    blocks: [],
+    rules: {},
+    globals: {},
+  }
+
+  const ignored = configs.some(config =>
+    isGlobalIgnore(config) && matchFile(config, absolute).ignored)
+
+  if(ignored)
+    return {...explanation, ignored}
+
+  const applying = configs.filter(config => {
+    const {matched, ignored} = matchFile(config, absolute)
+
+    return !isGlobalIgnore(config) && matched && !ignored
+  })
+
+  // The earlier settings, oldest first, that a new setting replaces
+  const history = ({overridden, ...replaced}) => [...overridden, replaced]
+
+  for(const config of applying) {
+    const {block, overrides = {}} = ORIGINS.get(config)
+      ?? {block: config.name ?? "(unnamed config)"}
+
+    if(!explanation.blocks.includes(block))
+      explanation.blocks.push(block)
+
+    for(const [rule, entry] of Object.entries(config.rules ?? {})) {
+      const [severity, ...ruleOptions] = [entry].flat()
+      const previous = explanation.rules[rule]
+
+      explanation.rules[rule] = {
+        block,
+        severity: severityName(severity),
+        options: ruleOptions.length === 0 && previous
+          ? previous.options
+          : ruleOptions,
+        override: Object.hasOwn(overrides, rule),
+        overridden: previous ? history(previous) : [],
+      }
+    }
+
+    const declared = config.languageOptions?.globals ?? {}
+
+    for(const [name, value] of Object.entries(declared)) {
+      const previous = explanation.globals[name]
+
+      explanation.globals[name] = {
+        block,
+        value,
+        overridden: previous ? history(previous) : [],
+      }
+    }
+  }
+
+  return explanation
+}
+
+/**
+ * Define a custom config block. The returned definition is inert until it
+ * is passed to `registerConfig()`, so blocks can be shared as plain modules.
+ *
+ * @param {string} name - Block name used in `with`, `without` and `options`
+ * @param {BlockFactory} factory - Factory receiving the block's options
+ * @param {BlockMeta} [meta] - Descriptive metadata
+ * @returns {BlockDefinition} Frozen block definition
+ * @throws {Error} When the name or factory is invalid
+ */
+export function defineBlock(name, factory, meta = {}) {
+  if(typeof name !== "string" || name.trim() === "")
+    throw new Error("Config block name must be a non-empty string")
+
+  if(typeof factory !== "function")
+    throw new Error(`Config block "${name}" must have a factory function`)
+
+  return Object.freeze({name, factory, meta: Object.freeze({...meta})})
+}
+
+/**
+ * Register one or more custom config blocks so they can be selected with
+ * `with`, excluded with `without`, configured through `options[name]` and
+ * listed by `availableConfigs`, exactly like the built-in blocks.
+ *
+ * @param {...BlockDefinition} blocks - Definitions from `defineBlock()`
+ * @throws {Error} When a block is malformed or its name is already taken
+ */
+export function registerConfig(...blocks) {
+  for(const block of blocks) {
+    const {name, factory, meta} =
+      defineBlock(block?.name, block?.factory, block?.meta)
+
+    if(name.startsWith(PRESET_PREFIX))
+      throw new Error(`Config block names may not start with "${PRESET_PREFIX}"`)
+
+    if(Object.hasOwn(CONFIGS, name))
+      throw new Error(`Config block "${name}" is already registered`)
+
+    CONFIGS[name] = factory
+    CONFIG_META[name] = meta
+    availableConfigs.push(name)
+  }
+}
@@ -19,13 +19,13 @@ export default [
       // Override for Node
       "node": {
         files: ["server/**/*.js", "api/**/*.js"],
-        indent: 4
+        ignores: ["server/legacy/**"]
       },
       // Override for React with nested objects
       "react": {
         files: ["client/**/*.{js,jsx}"],
-        overrides: {
-          "@stylistic/jsx-quotes": ["error", "prefer-double"]
+        additionalGlobals: {
+          __REACT_DEVTOOLS_GLOBAL_HOOK__: "readonly"
         }
       },
       "web": {
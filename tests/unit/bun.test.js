@@ -0,0 +1,71 @@
+/**
+ * @file bun.test.js - Tests for the Bun environment block
+ */
+
+import {describe, it} from "node:test"
+import assert from "node:assert/strict"
+import {Linter} from "eslint"
+import uglier from "../../src/uglier.js"
+
+const findConfig = (configs, name) =>
+  configs.find(c => c.name === `gesslar/uglier/${name}`)
+
+const lint = (code, filename) => {
+  const linter = new Linter({configType: "flat"})
+  const configs = uglier({with: ["lints-correctness", "bun"]})
+
+  return linter.verify(code, configs, filename)
+}
+
+describe("Bun Configuration", () => {
+  describe("bun config", () => {
+    it("should build on the node globals", () => {
+      const bun = findConfig(uglier({with: ["bun"]}), "bun")
+      const node = findConfig(uglier({with: ["node"]}), "node")
+
+      for(const name of Object.keys(node.languageOptions.globals))
+        assert.ok(name in bun.languageOptions.globals, `${name} is provided`)
+
+      assert.ok("Bun" in bun.languageOptions.globals)
+    })
+
+    it("should lint Bun code without complaint", () => {
+      const code = [
+        "const config = await Bun.file(\"config.json\").json()",
+        "",
+        "if(import.meta.main)",
+        "  Bun.serve({port: config.port, fetch: () => new Response(\"ok\")})",
+        "",
+      ].join("\n")
+
+      assert.deepEqual(lint(code, "src/cli.js"), [])
+    })
+
+    it("should provide bun:test globals in test files only", () => {
+      const code = "describe(\"x\", () => test(\"y\", () => expect(mock(() => 1)).toBeDefined()))\n"
+
+      assert.deepEqual(lint(code, "src/cli.test.js"), [])
+      assert.deepEqual(lint(code, "src/cli_spec.js"), [])
+      assert.equal(
+        lint(code, "src/cli.js").filter(m => m.ruleId === "no-undef").length,
+        4
+      )
+    })
+
+    it("should accept custom test files", () => {
+      const configs = uglier({with: ["bun"], options: {bun: {testFiles: "spec/**"}}})
+
+      assert.deepEqual(findConfig(configs, "bun/tests").files, ["spec/**"])
+    })
+
+    it("should be available as a tests framework", () => {
+      const {languageOptions} = findConfig(uglier({
+        with: ["tests"],
+        options: {tests: {framework: "bun"}}
+      }), "tests")
+
+      assert.ok("spyOn" in languageOptions.globals)
+      assert.ok("process" in languageOptions.globals)
+    })
+  })
+})
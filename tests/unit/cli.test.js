@@ -11,7 +11,8 @@ import {dirname} from "path"
 import {
   generateConfig,
   addToConfig,
-  removeFromConfig
+  removeFromConfig,
+  explainFile
 } from "../../bin/cli.js"
 import {setupPackageSymlink, importGeneratedConfig} from "../helpers/config.js"
 
@@ -115,6 +116,81 @@ describe("CLI Functions", () => {
       assert.ok(names.some(n => n?.includes("node")))
       assert.ok(names.some(n => n?.includes("web")))
     })
+
+    it("should accept opt-in lint blocks as targets", async() => {
+      const result = await generateConfig(["node", "lints-ts"])
+
+      assert.equal(result, true)
+
+      const configPath = join(TEST_DIR, "eslint.config.js")
+      const content = await readFile(configPath, "utf-8")
+
+      assert.match(content, /"lints-ts", \/\/ default files: \["src\/\*\*\/\*\.\{ts,tsx,mts,cts\}"\]/)
+
+      const config = await importGeneratedConfig(configPath)
+
+      assert.ok(config.some(c => c.name === "gesslar/uglier/lints-ts"))
+    })
+
+    it("should include config-files by default", async() => {
+      const result = await generateConfig(["node"])
+
+      assert.equal(result, true)
+
+      const configPath = join(TEST_DIR, "eslint.config.js")
+      const content = await readFile(configPath, "utf-8")
+
+      assert.match(content, /"node", .*\n\s*"config-files", \/\/ default files: \["\*\.config/)
+
+      const config = await importGeneratedConfig(configPath)
+
+      assert.ok(config.some(c => c.name === "gesslar/uglier/config-files"))
+    })
+
+    it("should scaffold all Electron blocks for the electron target", async() => {
+      const result = await generateConfig(["electron"])
+
+      assert.equal(result, true)
+
+      const configPath = join(TEST_DIR, "eslint.config.js")
+      const content = await readFile(configPath, "utf-8")
+
+      assert.match(content, /"electron-main", \/\/ default files: \["src\/main\/\*\*/)
+      assert.match(content, /"electron-preload", \/\/ default files: \["src\/preload\/\*\*/)
+      assert.match(content, /"electron-renderer", \/\/ default files: \["src\/renderer\/\*\*/)
+      assert.doesNotMatch(content, /"electron",/)
+
+      const config = await importGeneratedConfig(configPath)
+
+      assert.ok(config.some(c => c.name === "gesslar/uglier/electron-renderer"))
+    })
+
+    it("should scaffold the host and webview blocks for vscode-extension", async() => {
+      const result = await generateConfig(["vscode-extension"])
+
+      assert.equal(result, true)
+
+      const configPath = join(TEST_DIR, "eslint.config.js")
+      const content = await readFile(configPath, "utf-8")
+
+      assert.match(content, /"vscode-extension-host", \/\/ default files: \["src\/\*\*/)
+      assert.match(content, /"vscode-webview", \/\/ default files: \["media\/\*\*/)
+      assert.doesNotMatch(content, /"vscode-extension",/)
+
+      const config = await importGeneratedConfig(configPath)
+
+      assert.ok(config.some(c => c.name === "gesslar/uglier/vscode-webview"))
+    })
+
+    it("should not repeat config-files when it is a target", async() => {
+      const result = await generateConfig(["config-files", "node"])
+
+      assert.equal(result, true)
+
+      const content = await readFile(join(TEST_DIR, "eslint.config.js"), "utf-8")
+
+      assert.equal(content.match(/"config-files"/g).length, 1)
+    })
   })
 
   describe("addToConfig", () => {
@@ -206,6 +282,18 @@ describe("CLI Functions", () => {
       assert.ok(names.some(n => n?.includes("react")))
       assert.ok(names.some(n => n?.includes("web")))
     })
+
+    it("should expand target groups", async() => {
+      const result = await addToConfig(["electron"])
+
+      assert.equal(result, true)
+
+      const content = await readFile(join(TEST_DIR, "eslint.config.js"), "utf-8")
+
+      assert.match(content, /"electron-main"/)
+      assert.match(content, /"electron-preload"/)
+      assert.match(content, /"electron-renderer"/)
+    })
   })
 
   describe("removeFromConfig", () => {
@@ -278,7 +366,9 @@ describe("CLI Functions", () => {
     it("should fail if trying to remove all targets", async() => {
       await generateConfig(["node"])
 
-      const result = await removeFromConfig(["lints-js", "lints-jsdoc", "node"])
+      const result = await removeFromConfig([
+        "lints-js", "lints-jsdoc", "node", "config-files",
+      ])
 
       assert.equal(result.success, false)
     })
@@ -328,6 +418,41 @@ describe("CLI Functions", () => {
       assert.ok(!names.some(n => n?.includes("web")))
     })
 
+    it("should remove the deprecated vscode-extension block as written", async() => {
+      const configPath = join(TEST_DIR, "eslint.config.js")
+
+      await writeFile(configPath, `import uglify from "@gesslar/uglier"
+
+export default [
+  ...uglify({
+    with: [
+      "lints-js",
+      "node",
+      "vscode-extension",
+    ],
+    options: {
+      "vscode-extension": {
+        files: ["extension/**/*.js"]
+      }
+    }
+  })
+]
+`)
+
+      const result = await removeFromConfig(["vscode-extension"])
+
+      assert.equal(result.success, true)
+      assert.deepEqual(result.removedTargets, ["vscode-extension"])
+      assert.deepEqual(result.removedOptions, ["vscode-extension"])
+
+      const content = await readFile(configPath, "utf-8")
+
+      assert.doesNotMatch(content, /vscode-extension/)
+
+      const config = await importGeneratedConfig(configPath)
+      assert.ok(!config.some(c => c.name?.includes("vscode")))
+    })
+
     it("should warn about non-existent targets but still remove valid ones", async() => {
       await generateConfig(["node", "react"])
 
@@ -337,4 +462,56 @@ describe("CLI Functions", () => {
       assert.deepEqual(result.removedTargets, ["react"])
     })
   })
+
+  describe("explainFile", () => {
+    let originalCwd
+
+    beforeEach(async() => {
+      originalCwd = process.cwd()
+      process.chdir(TEST_DIR)
+
+      await cp(
+        join(FIXTURES_DIR, "sample-config.js"),
+        join(TEST_DIR, "eslint.config.js")
+      )
+    })
+
+    afterEach(async() => {
+      process.chdir(originalCwd)
+
+      try {
+        await rm(join(TEST_DIR, "eslint.config.js"))
+      } catch {
+        // Ignore
+      }
+    })
+
+    it("should explain a file using the project's config", async() => {
+      const result = await explainFile("src/index.js")
+
+      assert.equal(result.file, "src/index.js")
+      assert.deepEqual(result.blocks, ["lints-js", "lints-jsdoc", "node"])
+      assert.equal(result.rules["@stylistic/indent"].block, "lints-js")
+    })
+
+    it("should explain a single rule", async() => {
+      const result = await explainFile("src/index.js", "jsdoc/require-description")
+
+      assert.equal(result.rules["jsdoc/require-description"].block, "lints-jsdoc")
+    })
+
+    it("should fail if no file specified", async() => {
+      const result = await explainFile()
+
+      assert.equal(result, false)
+    })
+
+    it("should fail if no config exists", async() => {
+      await rm(join(TEST_DIR, "eslint.config.js"))
+
+      const result = await explainFile("src/index.js")
+
+      assert.equal(result, false)
+    })
+  })
 })
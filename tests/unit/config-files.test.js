@@ -0,0 +1,79 @@
+/**
+ * @file config-files.test.js - Tests for the tooling config files block
+ */
+
+import {describe, it} from "node:test"
+import assert from "node:assert/strict"
+import {Linter} from "eslint"
+import uglier from "../../src/uglier.js"
+
+const findConfigFiles = configs =>
+  configs.find(c => c.name === "gesslar/uglier/config-files")
+
+const lint = (code, filename, withConfigs = ["config-files"]) => {
+  const linter = new Linter({configType: "flat"})
+  const configs = [
+    ...uglier({with: withConfigs}),
+    {rules: {"no-undef": "error"}},
+  ]
+
+  return linter.verify(code, configs, filename)
+}
+
+describe("Config Files Configuration", () => {
+  describe("config-files config", () => {
+    it("should target root config files and scripts by default", () => {
+      const config = findConfigFiles(uglier({with: ["config-files"]}))
+
+      assert.deepEqual(config.files, [
+        "*.config.{js,mjs,cjs}",
+        "**/scripts/**/*.{js,mjs,cjs}",
+      ])
+    })
+
+    it("should provide Node globals", () => {
+      const code = "export default {root: process.cwd()}\n"
+
+      assert.deepEqual(lint(code, "vite.config.js"), [])
+      assert.deepEqual(lint(code, "astro.config.mjs"), [])
+      assert.deepEqual(lint(code, "docs/scripts/generate-nerds.mjs"), [])
+      assert.equal(lint(code, "src/app.config.js").length, 1)
+    })
+
+    it("should apply the lints-js style when lints-js is selected", () => {
+      const code = "export default {name: 'x'}\n"
+
+      assert.deepEqual(lint(code, "eslint.config.js"), [])
+      assert.deepEqual(
+        lint(code, "eslint.config.js", ["lints-js", "config-files"])
+          .map(m => m.ruleId),
+        ["@stylistic/quotes"]
+      )
+    })
+
+    it("should keep the lints-js overrides for tooling files", () => {
+      const linter = new Linter({configType: "flat"})
+      const configs = uglier({
+        with: ["lints-js", "config-files"],
+        options: {
+          "lints-js": {
+            files: ["**/*.js"],
+            overrides: {"@stylistic/semi": ["error", "always"]},
+          },
+        },
+      })
+
+      assert.deepEqual(linter.verify("export default {};\n", configs, "scripts/build.js"), [])
+    })
+
+    it("should accept additional globals", () => {
+      const {languageOptions} = findConfigFiles(uglier({
+        with: ["config-files"],
+        options: {"config-files": {additionalGlobals: {Bun: "readonly"}}}
+      }))
+
+      assert.equal(languageOptions.globals.Bun, "readonly")
+      assert.ok("process" in languageOptions.globals)
+    })
+  })
+})
@@ -0,0 +1,169 @@
+/**
+ * @file custom-blocks.test.js - Tests for registering custom config blocks
+ */
+
+import {describe, it} from "node:test"
+import assert from "node:assert/strict"
+import uglier, {
+  availableConfigs,
+  defineBlock,
+  registerConfig
+} from "../../src/uglier.js"
+
+describe("Custom Config Blocks", () => {
+  describe("defineBlock", () => {
+    it("should return a frozen block definition", () => {
+      const factory = () => ({name: "acme/define"})
+      const block = defineBlock("acme-define", factory, {description: "Acme"})
+
+      assert.equal(block.name, "acme-define")
+      assert.equal(block.factory, factory)
+      assert.deepEqual(block.meta, {description: "Acme"})
+      assert.ok(Object.isFrozen(block), "Definition should be frozen")
+    })
+
+    it("should not register the block by itself", () => {
+      defineBlock("acme-unregistered", () => ({}))
+
+      assert.ok(!availableConfigs.includes("acme-unregistered"))
+      assert.throws(
+        () => uglier({with: ["acme-unregistered"]}),
+        /Unknown config: "acme-unregistered"/
+      )
+    })
+
+    it("should reject an empty name", () => {
+      assert.throws(() => defineBlock("", () => ({})), /non-empty string/)
+    })
+
+    it("should reject a missing factory", () => {
+      assert.throws(
+        () => defineBlock("acme-nofactory"),
+        /"acme-nofactory" must have a factory function/
+      )
+    })
+  })
+
+  describe("registerConfig", () => {
+    it("should make the block selectable via with", () => {
+      registerConfig(defineBlock("acme-globals", (options = {}) => {
+        const {files = ["src/**/*.js"]} = options
+
+        return {
+          name: "acme/globals",
+          files,
+          languageOptions: {globals: {ACME: "readonly"}},
+        }
+      }))
+
+      const configs = uglier({with: ["lints-js", "acme-globals"]})
+      const config = configs.find(c => c.name === "acme/globals")
+
+      assert.ok(config, "Should include the custom block")
+      assert.equal(config.languageOptions.globals.ACME, "readonly")
+      assert.deepEqual(config.files, ["src/**/*.js"])
+    })
+
+    it("should pass options[name] to the factory", () => {
+      registerConfig(defineBlock("acme-options", options => ({
+        name: "acme/options",
+        files: options.files,
+      })))
+
+      const configs = uglier({
+        with: ["acme-options"],
+        options: {"acme-options": {files: ["lib/**/*.js"]}}
+      })
+
+      assert.deepEqual(configs[0].files, ["lib/**/*.js"])
+    })
+
+    it("should pass the composition context to the factory", () => {
+      let received
+
+      registerConfig(defineBlock("acme-context", (_options, context) => {
+        received = context
+
+        return {name: "acme/context"}
+      }))
+
+      uglier({
+        with: ["lints-js", "acme-context"],
+        options: {"lints-js": {indent: 4}}
+      })
+
+      assert.deepEqual(received.selected, ["lints-js", "acme-context"])
+      assert.equal(received.options["lints-js"].indent, 4)
+    })
+
+    it("should be excluded via without", () => {
+      registerConfig(defineBlock("acme-excluded", () => ({name: "acme/excluded"})))
+
+      const configs = uglier({
+        with: ["lints-js", "acme-excluded"],
+        without: ["acme-excluded"]
+      })
+
+      assert.ok(!configs.some(c => c.name === "acme/excluded"))
+    })
+
+    it("should support factories returning multiple configs", () => {
+      registerConfig(defineBlock("acme-multi", () => [
+        {name: "acme/multi/one"},
+        {name: "acme/multi/two"},
+      ]))
+
+      const names = uglier({with: ["acme-multi"]}).map(c => c.name)
+
+      assert.deepEqual(names, ["acme/multi/one", "acme/multi/two"])
+    })
+
+    it("should list registered blocks in availableConfigs", () => {
+      registerConfig(defineBlock("acme-listed", () => ({})))
+
+      assert.ok(availableConfigs.includes("acme-listed"))
+      assert.ok(availableConfigs.includes("lints-js"), "Built-ins remain listed")
+    })
+
+    it("should register several blocks at once", () => {
+      registerConfig(
+        defineBlock("acme-first", () => ({name: "acme/first"})),
+        defineBlock("acme-second", () => ({name: "acme/second"})),
+      )
+
+      const names = uglier({with: ["acme-first", "acme-second"]})
+        .map(c => c.name)
+
+      assert.deepEqual(names, ["acme/first", "acme/second"])
+    })
+
+    it("should refuse to replace a built-in block", () => {
+      assert.throws(
+        () => registerConfig(defineBlock("lints-js", () => ({}))),
+        /"lints-js" is already registered/
+      )
+    })
+
+    it("should refuse to register the same name twice", () => {
+      registerConfig(defineBlock("acme-twice", () => ({})))
+
+      assert.throws(
+        () => registerConfig(defineBlock("acme-twice", () => ({}))),
+        /"acme-twice" is already registered/
+      )
+    })
+
+    it("should reject objects that are not block definitions", () => {
+      assert.throws(() => registerConfig({name: "acme-bad"}), /factory function/)
+    })
+  })
+
+  describe("unknown configs", () => {
+    it("should not treat Object.prototype members as config blocks", () => {
+      assert.throws(
+        () => uglier({with: ["toString"]}),
+        /Unknown config: "toString"/
+      )
+    })
+  })
+})
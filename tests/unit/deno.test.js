@@ -0,0 +1,78 @@
+/**
+ * @file deno.test.js - Tests for the Deno environment block
+ */
+
+import {describe, it} from "node:test"
+import assert from "node:assert/strict"
+import {Linter} from "eslint"
+import uglier from "../../src/uglier.js"
+
+const findDeno = configs => configs.find(c => c.name === "gesslar/uglier/deno")
+
+const lint = code => {
+  const linter = new Linter({configType: "flat"})
+  const configs = uglier({with: ["lints-js", "lints-correctness", "deno"]})
+
+  return linter.verify(code, configs, "src/main.js")
+}
+
+describe("Deno Configuration", () => {
+  describe("deno config", () => {
+    it("should provide the Deno namespace and web globals", () => {
+      const {languageOptions} = findDeno(uglier({with: ["deno"]}))
+
+      assert.ok("Deno" in languageOptions.globals)
+      assert.ok("fetch" in languageOptions.globals)
+      assert.ok("crypto" in languageOptions.globals)
+      assert.ok(!("require" in languageOptions.globals))
+    })
+
+    it("should lint Deno code without complaint", () => {
+      const code = [
+        "const text = await Deno.readTextFile(import.meta.dirname + \"/a.txt\")",
+        "const response = await fetch(new URL(\"https://example.com\"))",
+        "",
+        "console.log(text, response.status)",
+        "",
+      ].join("\n")
+
+      assert.deepEqual(lint(code), [])
+    })
+
+    it("should forbid CommonJS globals", () => {
+      const code = [
+        "const path = require(\"node:path\")",
+        "",
+        "module.exports = path.join(__dirname, __filename)",
+        "",
+      ].join("\n")
+      const messages = lint(code).filter(m => m.ruleId === "no-restricted-globals")
+
+      assert.equal(messages.length, 4)
+      assert.match(messages[0].message, /Deno has no require\(\)/)
+      assert.match(messages[2].message, /import\.meta\.dirname/)
+    })
+
+    it("should allow npm:, jsr: and node: specifiers", () => {
+      const code = [
+        "import chalk from \"npm:chalk@5\"",
+        "import {join} from \"jsr:@std/path\"",
+        "import process from \"node:process\"",
+        "",
+        "console.log(chalk.blue(join(process.cwd(), \"x\")))",
+        "",
+      ].join("\n")
+
+      assert.deepEqual(lint(code), [])
+    })
+
+    it("should accept additional globals", () => {
+      const {languageOptions} = findDeno(uglier({
+        with: ["deno"],
+        options: {deno: {additionalGlobals: {APP: "readonly"}}}
+      }))
+
+      assert.equal(languageOptions.globals.APP, "readonly")
+    })
+  })
+})
@@ -0,0 +1,102 @@
+/**
+ * @file describe-configs.test.js - Tests for the block metadata API
+ */
+
+import {describe, it} from "node:test"
+import assert from "node:assert/strict"
+import {
+  availableConfigs,
+  defineBlock,
+  describeConfigs,
+  registerConfig
+} from "../../src/uglier.js"
+import {getAvailableConfigs} from "../../bin/cli.js"
+
+const describeBlock = name => describeConfigs().find(block => block.name === name)
+
+describe("describeConfigs", () => {
+  it("should describe every available block, in order", () => {
+    assert.deepEqual(describeConfigs().map(block => block.name), availableConfigs)
+  })
+
+  it("should give every built-in block a description and category", () => {
+    for(const {name, description, category} of describeConfigs()) {
+      assert.equal(typeof description, "string", `${name} has no description`)
+      assert.ok(["lint", "environment", "override"].includes(category), `${name} has category ${category}`)
+    }
+  })
+
+  it("should describe a lint block", () => {
+    const block = describeBlock("lints-js")
+
+    assert.equal(block.description, "Core stylistic linting rules")
+    assert.equal(block.category, "lint")
+    assert.deepEqual(block.files, ["src/**/*.{js,mjs,cjs}"])
+    assert.deepEqual(block.ignores, [])
+    assert.deepEqual(block.plugins, ["@stylistic/eslint-plugin"])
+    assert.ok(block.rules.includes("@stylistic/indent"))
+    assert.deepEqual(block.schema.quotes, {enum: ["double", "single"]})
+  })
+
+  it("should categorise overrides", () => {
+    assert.equal(describeBlock("cjs-override").category, "override")
+    assert.deepEqual(describeBlock("cjs-override").files, ["**/*.cjs"])
+  })
+
+  it("should use the files of the block's own config in multi-config blocks", () => {
+    assert.deepEqual(describeBlock("svelte").files, ["src/**/*.svelte", "src/**/*.svelte.{js,ts}"])
+    assert.deepEqual(describeBlock("webextension").files, ["src/popup/**/*.{js,mjs,cjs}"])
+  })
+
+  it("should collect rules from every config of a block", () => {
+    const {rules} = describeBlock("webextension")
+
+    assert.deepEqual(rules, ["no-restricted-properties"])
+  })
+
+  it("should describe custom blocks", () => {
+    registerConfig(
+      defineBlock("acme-described", () => ({
+        name: "acme/described",
+        files: ["acme/**"],
+        rules: {"no-console": "error"},
+      }), {description: "Acme conventions", category: "lint"}),
+      defineBlock("acme-bare", () => ({name: "acme/bare"})),
+      defineBlock("acme-unbuilt", () => ({name: "acme/unbuilt"}), {
+        plugins: ["eslint-plugin-acme-absent"],
+      }),
+    )
+
+    assert.deepEqual(describeBlock("acme-described"), {
+      name: "acme-described",
+      description: "Acme conventions",
+      category: "lint",
+      files: ["acme/**"],
+      ignores: [],
+      schema: null,
+      plugins: [],
+      rules: ["no-console"],
+    })
+    assert.equal(describeBlock("acme-bare").category, "environment")
+    assert.equal(describeBlock("acme-bare").description, null)
+
+    const unbuilt = describeBlock("acme-unbuilt")
+
+    assert.equal(unbuilt.files, null)
+    assert.equal(unbuilt.rules, null)
+    assert.deepEqual(unbuilt.plugins, ["eslint-plugin-acme-absent"])
+  })
+
+  it("should feed the CLI's list of blocks", async() => {
+    const configs = await getAvailableConfigs()
+    const json = configs.find(config => config.name === "lints-json")
+
+    assert.deepEqual(configs.map(config => config.name), availableConfigs)
+    assert.equal(json.category, "lint")
+    assert.equal(json.files, "[\"**/*.json\"]")
+    assert.equal(
+      configs.find(config => config.name === "config-files").files,
+      "[\"*.config.{js,mjs,cjs}\", \"**/scripts/**/*.{js,mjs,cjs}\"]"
+    )
+  })
+})
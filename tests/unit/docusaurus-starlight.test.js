@@ -4,6 +4,7 @@
 
 import {describe, it} from "node:test"
 import assert from "node:assert/strict"
+import astro from "eslint-plugin-astro"
 import uglier from "../../src/uglier.js"
 
 describe("Docusaurus Configuration", () => {
@@ -122,6 +123,16 @@ describe("Starlight Configuration", () => {
       assert.ok(astroRecommended.rules, "Should have rules")
     })
 
+    it("should use the same astro plugin as the user's import", () => {
+      const configs = uglier({
+        with: ["starlight"]
+      })
+
+      const astroPlugin = configs.find(c => c.name === "astro/base/plugin")
+
+      assert.equal(astroPlugin.plugins.astro, astro)
+    })
+
     it("should include browser globals", () => {
       const configs = uglier({
         with: ["starlight"]
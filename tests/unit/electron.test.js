@@ -0,0 +1,102 @@
+/**
+ * @file electron.test.js - Tests for the Electron process blocks
+ */
+
+import {describe, it} from "node:test"
+import assert from "node:assert/strict"
+import {Linter} from "eslint"
+import uglier from "../../src/uglier.js"
+
+const ELECTRON = ["electron-main", "electron-preload", "electron-renderer"]
+
+const findConfig = (configs, name) =>
+  configs.find(c => c.name === `gesslar/uglier/${name}`)
+
+const lint = (code, filename) => {
+  const linter = new Linter({configType: "flat"})
+  const configs = uglier({with: ["lints-correctness", ...ELECTRON]})
+
+  return linter.verify(code, configs, filename)
+}
+
+const ruleIds = messages => messages.map(m => m.ruleId)
+
+describe("Electron Configuration", () => {
+  it("should give each process its own default files", () => {
+    const configs = uglier({with: ELECTRON})
+
+    assert.deepEqual(findConfig(configs, "electron-main").files, ["src/main/**/*.{js,mjs,cjs}"])
+    assert.deepEqual(findConfig(configs, "electron-preload").files, ["src/preload/**/*.{js,mjs,cjs}"])
+    assert.deepEqual(findConfig(configs, "electron-renderer").files, ["src/renderer/**/*.{js,mjs,cjs}"])
+  })
+
+  describe("electron-main config", () => {
+    it("should provide Node globals only", () => {
+      const code = "import {app} from \"electron\"\nimport path from \"node:path\"\n\napp.setPath(\"x\", path.join(process.cwd(), \"y\"))\n"
+
+      assert.deepEqual(lint(code, "src/main/index.js"), [])
+      assert.deepEqual(ruleIds(lint("document.title = \"x\"\n", "src/main/index.js")), ["no-undef"])
+    })
+  })
+
+  describe("electron-preload config", () => {
+    it("should provide browser and Node globals", () => {
+      const code = [
+        "const {contextBridge, ipcRenderer} = require(\"electron\")",
+        "",
+        "window.addEventListener(\"DOMContentLoaded\", () => console.log(process.versions))",
+        "contextBridge.exposeInMainWorld(\"api\", {ping: () => ipcRenderer.invoke(\"ping\")})",
+        "",
+      ].join("\n")
+
+      assert.deepEqual(lint(code, "src/preload/index.cjs"), [])
+    })
+  })
+
+  describe("electron-renderer config", () => {
+    it("should provide browser globals without Node", () => {
+      assert.deepEqual(lint("document.title = window.api.name\n", "src/renderer/app.js"), [])
+      assert.deepEqual(ruleIds(lint("process.exit()\n", "src/renderer/app.js")), ["no-undef"])
+    })
+
+    it("should restrict imports of electron", () => {
+      const messages = lint("import {ipcRenderer} from \"electron\"\n\nipcRenderer.send(\"x\")\n", "src/renderer/app.js")
+
+      assert.deepEqual(ruleIds(messages), ["no-restricted-imports"])
+      assert.match(messages[0].message, /contextBridge/)
+    })
+
+    it("should restrict imports of Node builtins", () => {
+      const code = [
+        "import fs from \"fs\"",
+        "import {join} from \"node:path\"",
+        "import {readFile} from \"fs/promises\"",
+        "import {render} from \"./view.js\"",
+        "",
+        "render(fs, join, readFile)",
+        "",
+      ].join("\n")
+
+      assert.deepEqual(ruleIds(lint(code, "src/renderer/app.js")), [
+        "no-restricted-imports",
+        "no-restricted-imports",
+        "no-restricted-imports",
+      ])
+    })
+
+    it("should restrict every Node builtin, not only server-only ones", () => {
+      const code = [
+        "import crypto from \"crypto\"",
+        "import {Readable} from \"stream\"",
+        "import {EventEmitter} from \"events\"",
+        "import {Buffer} from \"buffer\"",
+        "import util from \"util\"",
+        "",
+        "console.log(crypto, Readable, EventEmitter, Buffer, util)",
+        "",
+      ].join("\n")
+
+      assert.deepEqual(ruleIds(lint(code, "src/renderer/app.js")), Array(5).fill("no-restricted-imports"))
+    })
+  })
+})
@@ -0,0 +1,119 @@
+/**
+ * @file explain.test.js - Tests for explaining where a file's settings come from
+ */
+
+import {describe, it} from "node:test"
+import assert from "node:assert/strict"
+import {resolve} from "node:path"
+import uglify, {explain} from "../../src/uglier.js"
+
+describe("explain", () => {
+  it("should list the blocks whose files match the path", () => {
+    const options = {with: ["lints-js", "node", "cjs-override"]}
+
+    assert.deepEqual(explain(options, "src/index.cjs").blocks, ["lints-js", "node", "cjs-override"])
+    assert.deepEqual(explain(options, "src/index.js").blocks, ["lints-js", "node"])
+    assert.deepEqual(explain(options, "lib/index.js").blocks, [])
+  })
+
+  it("should respect block ignores", () => {
+    const options = {
+      with: ["lints-js"],
+      options: {"lints-js": {ignores: ["src/vendor/**"]}},
+    }
+
+    assert.deepEqual(explain(options, "src/vendor/lib.js").blocks, [])
+    assert.deepEqual(explain(options, "src/app.js").blocks, ["lints-js"])
+  })
+
+  it("should accept absolute paths", () => {
+    const {file, blocks} = explain({with: ["lints-js"]}, resolve("src/app.js"))
+
+    assert.equal(file, "src/app.js")
+    assert.deepEqual(blocks, ["lints-js"])
+  })
+
+  it("should report the final severity, options and block of each rule", () => {
+    const {rules} = explain({with: ["lints-js"]}, "src/app.js")
+
+    assert.deepEqual(rules["@stylistic/indent"], {
+      block: "lints-js",
+      severity: "error",
+      options: [2, {SwitchCase: 1}],
+      override: false,
+      overridden: [],
+    })
+  })
+
+  it("should flag settings that come from overrides", () => {
+    const {rules} = explain({
+      with: ["lints-js"],
+      options: {"lints-js": {overrides: {"@stylistic/semi": ["warn", "always"]}}},
+    }, "src/app.js")
+
+    assert.equal(rules["@stylistic/semi"].severity, "warn")
+    assert.deepEqual(rules["@stylistic/semi"].options, ["always"])
+    assert.equal(rules["@stylistic/semi"].override, true)
+    assert.equal(rules["@stylistic/indent"].override, false)
+  })
+
+  it("should report the settings a later config replaced", () => {
+    const configs = [
+      ...uglify({with: ["lints-js"]}),
+      {name: "project/quiet", files: ["src/legacy/**"], rules: {"@stylistic/indent": "warn", "no-console": 0}},
+    ]
+    const {blocks, rules} = explain(configs, "src/legacy/app.js")
+
+    assert.deepEqual(blocks, ["lints-js", "project/quiet"])
+    assert.deepEqual(rules["@stylistic/indent"], {
+      block: "project/quiet",
+      severity: "warn",
+      options: [2, {SwitchCase: 1}],
+      override: false,
+      overridden: [{
+        block: "lints-js",
+        severity: "error",
+        options: [2, {SwitchCase: 1}],
+        override: false,
+      }],
+    })
+    assert.equal(rules["no-console"].severity, "off")
+  })
+
+  it("should report globals and the declarations they replaced", () => {
+    const configs = [
+      ...uglify({with: ["node"]}),
+      {name: "project/globals", languageOptions: {globals: {process: "off", APP: "readonly"}}},
+    ]
+    const {globals} = explain(configs, "src/app.js")
+
+    assert.equal(globals.APP.block, "project/globals")
+    assert.equal(globals.process.value, "off")
+    assert.deepEqual(globals.process.overridden.map(({block}) => block), ["node"])
+  })
+
+  it("should match files relative to a config's basePath", () => {
+    const configs = [{name: "api", basePath: "packages/api", files: ["src/**/*.js"], rules: {"no-console": "error"}}]
+
+    assert.deepEqual(explain(configs, "packages/api/src/index.js").blocks, ["api"])
+    assert.deepEqual(explain(configs, "src/index.js").blocks, [])
+  })
+
+  it("should treat a file skipped by global ignores as ignored", () => {
+    const configs = [{ignores: ["dist/", "build/**", "!build/keep.js"]}, ...uglify({with: ["node"]})]
+
+    assert.equal(explain(configs, "dist/app.js").ignored, true)
+    assert.equal(explain(configs, "build/app.js").ignored, true)
+    assert.equal(explain(configs, "build/keep.js").ignored, false)
+    assert.deepEqual(explain(configs, "dist/app.js").blocks, [])
+  })
+
+  it("should require a file path", () => {
+    assert.throws(() => explain({}), /needs the path of the file/)
+    assert.throws(() => explain({}, ""), /needs the path of the file/)
+  })
+
+  it("should validate options like uglify()", () => {
+    assert.throws(() => explain({with: ["lints-jss"]}, "src/app.js"), /Unknown config/)
+  })
+})
@@ -4,6 +4,8 @@
 
 import {describe, it} from "node:test"
 import assert from "node:assert/strict"
+import {Linter} from "eslint"
+import jsdoc from "eslint-plugin-jsdoc"
 import uglier from "../../src/uglier.js"
 
 describe("JSDoc Configuration", () => {
@@ -138,5 +140,17 @@ describe("JSDoc Configuration", () => {
       assert.ok(jsdocConfig.settings, "Should have settings object")
       assert.equal(jsdocConfig.settings.jsdoc.mode, "typescript", "Should preserve jsdoc settings when rules are overridden")
     })
+
+    it("should share its plugin with one the user imports", () => {
+      const configs = [
+        ...uglier({with: ["lints-jsdoc"]}),
+        {files: ["**/*.js"], plugins: {jsdoc}, rules: {"jsdoc/check-tag-names": "error"}},
+      ]
+      const jsdocConfig = configs.find(c => c.name === "gesslar/uglier/lints-jsdoc")
+
+      assert.equal(jsdocConfig.plugins.jsdoc, jsdoc)
+      assert.deepEqual(new Linter({configType: "flat"}).verify("/** @foo */\nconst a = 1\n", configs, "a.js")
+        .map(m => m.ruleId), ["jsdoc/check-tag-names"])
+    })
   })
 })
@@ -0,0 +1,86 @@
+/**
+ * @file lazy-loading.test.js - Tests that blocks only load the plugins they use
+ */
+
+import {describe, it} from "node:test"
+import assert from "node:assert/strict"
+import {execFile} from "node:child_process"
+import {promisify} from "node:util"
+
+const UGLIER_URL = new URL("../../src/uglier.js", import.meta.url).href
+
+const FRAMEWORK_PACKAGES = [
+  "eslint-plugin-astro",
+  "eslint-plugin-svelte",
+  "vue-eslint-parser",
+  "@typescript-eslint/parser",
+  "@eslint/json",
+  "@eslint/markdown",
+]
+
+/**
+ * Import uglier in a fresh Node.js process, build a config from `blocks`
+ * (every block when omitted) and report how long that took and which
+ * packages were resolved along the way.
+ *
+ * @param {Array<string>} [blocks] - Blocks to select
+ * @returns {Promise<{ms: number, loaded: Array<string>}>} Timing and packages
+ */
+const measure = async blocks => {
+  const script = `
+    import {registerHooks} from "node:module"
+
+    const loaded = new Set()
+
+    registerHooks({
+      resolve(specifier, context, next) {
+        loaded.add(specifier)
+
+        return next(specifier, context)
+      },
+    })
+
+    const start = performance.now()
+    const {default: uglify, availableConfigs} = await import(${JSON.stringify(UGLIER_URL)})
+
+    uglify({with: ${JSON.stringify(blocks ?? null)} ?? availableConfigs})
+
+    console.log(JSON.stringify({ms: performance.now() - start, loaded: [...loaded]}))
+  `
+  const {stdout} = await promisify(execFile)(
+    process.execPath,
+    ["--input-type=module", "--eval", script],
+    {timeout: 60_000}
+  )
+
+  return JSON.parse(stdout)
+}
+
+describe("Lazy plugin loading", () => {
+  it("should not load framework plugins for a lints-js + node config", async() => {
+    const {loaded} = await measure(["lints-js", "node"])
+
+    assert.ok(loaded.includes("@stylistic/eslint-plugin"))
+
+    for(const name of [...FRAMEWORK_PACKAGES, "eslint-plugin-jsdoc"])
+      assert.ok(!loaded.includes(name), `${name} should not be loaded`)
+  })
+
+  it("should load a block's plugins once it is selected", async() => {
+    const {loaded} = await measure(["lints-js", "svelte", "lints-markdown"])
+
+    assert.ok(loaded.includes("eslint-plugin-svelte"))
+    assert.ok(loaded.includes("@eslint/markdown"))
+    assert.ok(!loaded.includes("eslint-plugin-astro"))
+  })
+
+  it("should build a lints-js + node config faster than one with every block", async t => {
+    const lean = await measure(["lints-js", "node"])
+    const full = await measure()
+
+    t.diagnostic(`lints-js + node: ${lean.ms.toFixed(0)}ms, every block: ${full.ms.toFixed(0)}ms`)
+
+    assert.ok(full.loaded.includes("eslint-plugin-astro"))
+    assert.ok(lean.ms < full.ms)
+  })
+})
@@ -0,0 +1,126 @@
+/**
+ * @file lints-correctness.test.js - Tests for the core correctness block
+ */
+
+import {describe, it} from "node:test"
+import assert from "node:assert/strict"
+import {Linter} from "eslint"
+import {builtinRules} from "eslint/use-at-your-own-risk"
+import uglier from "../../src/uglier.js"
+
+const findCorrectness = configs =>
+  configs.find(c => c.name === "gesslar/uglier/lints-correctness")
+
+const lint = (code, options = {}, extra = []) => {
+  const linter = new Linter({configType: "flat"})
+  const configs = uglier({
+    with: ["lints-correctness", ...extra],
+    options: {"lints-correctness": options},
+  })
+
+  return linter.verify(code, configs, "src/index.js")
+}
+
+const ruleIds = messages => messages.map(m => m.ruleId)
+
+describe("Correctness Configuration", () => {
+  describe("lints-correctness config", () => {
+    it("should target the same files as lints-js", () => {
+      const config = findCorrectness(uglier({with: ["lints-correctness"]}))
+
+      assert.deepEqual(config.files, ["src/**/*.{js,mjs,cjs}"])
+    })
+
+    it("should only use existing, non-deprecated core rules", () => {
+      for(const level of ["recommended", "strict"]) {
+        const {rules} = findCorrectness(uglier({
+          with: ["lints-correctness"],
+          options: {"lints-correctness": {level}}
+        }))
+
+        for(const ruleId of Object.keys(rules)) {
+          assert.ok(builtinRules.has(ruleId), `${ruleId} exists`)
+          assert.ok(!builtinRules.get(ruleId).meta.deprecated, `${ruleId} is current`)
+        }
+      }
+    })
+
+    it("should use error severity throughout", () => {
+      const {rules} = findCorrectness(uglier({with: ["lints-correctness"]}))
+
+      for(const entry of Object.values(rules))
+        assert.equal([entry].flat()[0], "error")
+    })
+
+    it("should catch common bugs at the recommended level", () => {
+      const code = [
+        "const a = {x: 1, x: 2}",
+        "",
+        "function f() {",
+        "  return a",
+        "  missing()",
+        "}",
+        "",
+        "f()",
+        "",
+      ].join("\n")
+
+      assert.deepEqual(ruleIds(lint(code)).sort(), [
+        "no-dupe-keys",
+        "no-undef",
+        "no-unreachable",
+      ])
+    })
+
+    it("should share the lints-js unused-vars conventions", () => {
+      const code = "const _ignored = 1\nconst used = 2\n\nexport {used}\n"
+
+      assert.deepEqual(lint(code), [])
+      assert.deepEqual(ruleIds(lint("const unused = 1\n")), ["no-unused-vars"])
+    })
+
+    it("should leave strict-only rules off by default", () => {
+      const code = "export const same = (a, b) => a == b\n"
+
+      assert.deepEqual(lint(code), [])
+    })
+
+    it("should add stricter rules at the strict level", () => {
+      const code = "export const same = (a, b) => a == b\nvar x = 1\n\nexport {x}\n"
+
+      assert.deepEqual(ruleIds(lint(code, {level: "strict"})), ["eqeqeq", "no-var"])
+    })
+
+    it("should allow == null at the strict level", () => {
+      const code = "export const missing = a => a == null\n"
+
+      assert.deepEqual(lint(code, {level: "strict"}), [])
+    })
+
+    it("should respect globals from environment blocks", () => {
+      const code = "export const cwd = process.cwd()\n"
+
+      assert.deepEqual(ruleIds(lint(code)), ["no-undef"])
+      assert.deepEqual(lint(code, {}, ["node"]), [])
+    })
+
+    it("should apply overrides last", () => {
+      const {rules} = findCorrectness(uglier({
+        with: ["lints-correctness"],
+        options: {"lints-correctness": {overrides: {"no-undef": "off"}}}
+      }))
+
+      assert.equal(rules["no-undef"], "off")
+    })
+
+    it("should reject unknown levels", () => {
+      assert.throws(
+        () => uglier({
+          with: ["lints-correctness"],
+          options: {"lints-correctness": {level: "strcit"}}
+        }),
+        /must be one of "recommended", "strict", got "strcit". Did you mean "strict"\?/
+      )
+    })
+  })
+})
@@ -0,0 +1,112 @@
+/**
+ * @file lints-json.test.js - Tests for the JSON linting block
+ */
+
+import {describe, it} from "node:test"
+import assert from "node:assert/strict"
+import {Linter} from "eslint"
+import uglier from "../../src/uglier.js"
+
+const findJson = (configs, suffix = "") =>
+  configs.find(c => c.name === `gesslar/uglier/lints-json${suffix}`)
+
+const lintJson = (code, filename = "data.json", options = {}) => {
+  const linter = new Linter({configType: "flat"})
+  const configs = uglier({with: ["lints-json"], options: {"lints-json": options}})
+
+  return linter.verify(code, configs, filename)
+}
+
+const ruleIds = messages => messages.map(m => m.ruleId)
+
+describe("JSON Configuration", () => {
+  describe("lints-json config", () => {
+    it("should lint json files with the json language", () => {
+      const config = findJson(uglier({with: ["lints-json"]}))
+
+      assert.deepEqual(config.files, ["**/*.json"])
+      assert.equal(config.language, "json/json")
+      assert.ok(config.ignores.includes("**/package-lock.json"))
+    })
+
+    it("should lint known config files as jsonc", () => {
+      const configs = uglier({with: ["lints-json"]})
+      const jsonc = findJson(configs, "/jsonc")
+
+      assert.equal(jsonc.language, "json/jsonc")
+      assert.ok(jsonc.files.includes("**/tsconfig*.json"))
+      assert.ok(findJson(configs).ignores.includes("**/tsconfig*.json"))
+    })
+
+    it("should accept well-formed JSON", () => {
+      assert.deepEqual(lintJson("{\n  \"a\": [\n    1\n  ],\n  \"b\": {}\n}\n"), [])
+    })
+
+    it("should report duplicate keys", () => {
+      const messages = lintJson("{\n  \"a\": 1,\n  \"a\": 2\n}\n")
+
+      assert.deepEqual(ruleIds(messages), ["json/no-duplicate-keys"])
+    })
+
+    it("should enforce 2-space indentation", () => {
+      const messages = lintJson("{\n    \"a\": [\n  1\n    ]\n}\n")
+
+      assert.deepEqual(ruleIds(messages), [
+        "uglier/json-indent",
+        "uglier/json-indent",
+        "uglier/json-indent",
+      ])
+    })
+
+    it("should respect the indent option", () => {
+      const code = "{\n    \"a\": 1\n}\n"
+
+      assert.deepEqual(lintJson(code, "data.json", {indent: 4}), [])
+    })
+
+    it("should leave inline values alone", () => {
+      assert.deepEqual(lintJson("{\n  \"a\": [1, 2, {\"b\": 3}]\n}\n"), [])
+    })
+
+    it("should report trailing spaces and a missing final newline", () => {
+      const messages = lintJson("{\n  \"a\": 1 \n}")
+
+      assert.deepEqual(ruleIds(messages), [
+        "uglier/no-trailing-spaces",
+        "uglier/eol-last",
+      ])
+    })
+
+    it("should fix whitespace problems", () => {
+      const linter = new Linter({configType: "flat"})
+      const {output} = linter.verifyAndFix(
+        "{\n\"a\": [\n      1\n  ],  \n    \"b\": {}\n}",
+        uglier({with: ["lints-json"]}),
+        "data.json"
+      )
+
+      assert.equal(output, "{\n  \"a\": [\n    1\n  ],\n  \"b\": {}\n}\n")
+    })
+
+    it("should allow comments and trailing commas in jsonc files", () => {
+      const code = "{\n  // compiler\n  \"strict\": true,\n}\n"
+
+      assert.deepEqual(lintJson(code, "tsconfig.json"), [])
+    })
+
+    it("should validate overrides against the json plugin", () => {
+      assert.throws(
+        () => uglier({
+          with: ["lints-json"],
+          options: {"lints-json": {overrides: {"json/sort-keyz": "error"}}}
+        }),
+        /Unknown rule "json\/sort-keyz".*Did you mean "json\/sort-keys"\?/
+      )
+
+      assert.doesNotThrow(() => uglier({
+        with: ["lints-json"],
+        options: {"lints-json": {overrides: {"json/sort-keys": "error"}}}
+      }))
+    })
+  })
+})
@@ -0,0 +1,114 @@
+/**
+ * @file lints-jsx.test.js - Tests for the JSX stylistic block
+ */
+
+import {describe, it} from "node:test"
+import assert from "node:assert/strict"
+import {Linter} from "eslint"
+import uglier from "../../src/uglier.js"
+
+const findJsx = configs => configs.find(c => c.name === "gesslar/uglier/lints-jsx")
+
+const lintJsx = (code, options = {}) => {
+  const linter = new Linter({configType: "flat"})
+  const configs = uglier({with: ["lints-jsx"], options: {"lints-jsx": options}})
+
+  return linter.verify(code, configs, "src/view.jsx")
+}
+
+describe("JSX Configuration", () => {
+  describe("lints-jsx config", () => {
+    it("should enable JSX parsing", () => {
+      const config = findJsx(uglier({with: ["lints-jsx"]}))
+
+      assert.equal(config.languageOptions.parserOptions.ecmaFeatures.jsx, true)
+    })
+
+    it("should target js and jsx files by default", () => {
+      const config = findJsx(uglier({with: ["lints-jsx"]}))
+
+      assert.deepEqual(config.files, ["src/**/*.{js,jsx,mjs,cjs}"])
+    })
+
+    it("should apply the JSX stylistic rules", () => {
+      const {rules} = findJsx(uglier({with: ["lints-jsx"]}))
+
+      assert.deepEqual(rules["@stylistic/jsx-quotes"], ["error", "prefer-double"])
+      assert.deepEqual(rules["@stylistic/jsx-indent-props"], ["error", 2])
+      assert.ok(rules["@stylistic/jsx-closing-bracket-location"])
+      assert.ok(rules["@stylistic/jsx-curly-spacing"])
+      assert.ok(rules["@stylistic/jsx-self-closing-comp"])
+    })
+
+    it("should follow lints-js indent and quotes", () => {
+      const configs = uglier({
+        with: ["lints-js", "lints-jsx"],
+        options: {"lints-js": {indent: 4, quotes: "single"}}
+      })
+      const jsConfig = configs.find(c => c.name === "gesslar/uglier/lints-js")
+      const {rules} = findJsx(configs)
+
+      assert.equal(jsConfig.rules["@stylistic/quotes"][1], "single")
+      assert.deepEqual(rules["@stylistic/jsx-indent-props"], ["error", 4])
+      assert.deepEqual(rules["@stylistic/jsx-quotes"], ["error", "prefer-single"])
+    })
+
+    it("should prefer its own options over lints-js", () => {
+      const {rules} = findJsx(uglier({
+        with: ["lints-js", "lints-jsx"],
+        options: {
+          "lints-js": {indent: 4},
+          "lints-jsx": {indent: 3, quotes: "single"},
+        }
+      }))
+
+      assert.deepEqual(rules["@stylistic/jsx-indent-props"], ["error", 3])
+      assert.deepEqual(rules["@stylistic/jsx-quotes"], ["error", "prefer-single"])
+    })
+
+    it("should reject unsupported quote styles", () => {
+      assert.throws(
+        () => uglier({
+          with: ["lints-jsx"],
+          options: {"lints-jsx": {quotes: "backtick"}}
+        }),
+        /Option "quotes" for config "lints-jsx" must be one of "double", "single"/
+      )
+    })
+  })
+
+  describe("linting JSX source", () => {
+    it("should accept JSX written in the house style", () => {
+      const code = [
+        "export const App = () => (",
+        "  <div className=\"app\">",
+        "    <Header",
+        "      title={title}",
+        "    />",
+        "  </div>",
+        ")",
+        "",
+      ].join("\n")
+
+      assert.deepEqual(lintJsx(code), [])
+    })
+
+    it("should report single-quoted attributes", () => {
+      const messages = lintJsx("export const a = <a href='/'>x</a>\n")
+
+      assert.ok(messages.some(m => m.ruleId === "@stylistic/jsx-quotes"))
+    })
+
+    it("should report padded curly braces", () => {
+      const messages = lintJsx("export const a = <p>{ name }</p>\n")
+
+      assert.ok(messages.some(m => m.ruleId === "@stylistic/jsx-curly-spacing"))
+    })
+
+    it("should report components that could self-close", () => {
+      const messages = lintJsx("export const a = <Empty></Empty>\n")
+
+      assert.ok(messages.some(m => m.ruleId === "@stylistic/jsx-self-closing-comp"))
+    })
+  })
+})
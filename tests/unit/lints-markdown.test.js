@@ -0,0 +1,142 @@
+/**
+ * @file lints-markdown.test.js - Tests for the Markdown linting block
+ */
+
+import {describe, it} from "node:test"
+import assert from "node:assert/strict"
+import {Linter} from "eslint"
+import uglier from "../../src/uglier.js"
+
+const findMarkdown = (configs, suffix = "") =>
+  configs.find(c => c.name === `gesslar/uglier/lints-markdown${suffix}`)
+
+const lintMarkdown = (code, options = {}, extra = {}) => {
+  const linter = new Linter({configType: "flat"})
+  const configs = uglier({
+    with: ["lints-markdown", ...Object.keys(extra)],
+    options: {"lints-markdown": options, ...extra},
+  })
+
+  return linter.verify(code, configs, "README.md")
+}
+
+const ruleIds = messages => messages.map(m => m.ruleId)
+
+const document = [
+  "# Title",
+  "",
+  "Some prose.",
+  "",
+  "```js",
+  "const greeting = 'hello'",
+  "```",
+  "",
+].join("\n")
+
+describe("Markdown Configuration", () => {
+  describe("lints-markdown config", () => {
+    it("should lint md files as GitHub-flavored Markdown", () => {
+      const config = findMarkdown(uglier({with: ["lints-markdown"]}))
+
+      assert.deepEqual(config.files, ["**/*.md"])
+      assert.equal(config.language, "markdown/gfm")
+    })
+
+    it("should support the commonmark flavor", () => {
+      const config = findMarkdown(uglier({
+        with: ["lints-markdown"],
+        options: {"lints-markdown": {flavor: "commonmark"}}
+      }))
+
+      assert.equal(config.language, "markdown/commonmark")
+    })
+
+    it("should apply the recommended Markdown rules", () => {
+      const messages = lintMarkdown("# Title\n\n#### Skipped\n")
+
+      assert.deepEqual(ruleIds(messages), ["markdown/heading-increment"])
+    })
+
+    it("should report trailing spaces and a missing final newline", () => {
+      const messages = lintMarkdown("# Title\n\nSome prose. \nMore.")
+
+      assert.deepEqual(ruleIds(messages), [
+        "uglier/no-trailing-spaces",
+        "uglier/eol-last",
+      ])
+    })
+
+    it("should leave hard line breaks alone", () => {
+      const messages = lintMarkdown("# Title\n\nSome prose.  \nMore.\n")
+
+      assert.deepEqual(messages, [])
+    })
+
+    it("should report trailing spaces that don't break a line", () => {
+      const messages = lintMarkdown("# Title  \n\nSome prose.\t\nMore.   \n")
+
+      assert.deepEqual(ruleIds(messages), [
+        "uglier/no-trailing-spaces",
+        "uglier/no-trailing-spaces",
+        "uglier/no-trailing-spaces",
+      ])
+    })
+
+    it("should leave code blocks alone by default", () => {
+      const configs = uglier({with: ["lints-markdown"]})
+
+      assert.equal(findMarkdown(configs, "/code-blocks"), undefined)
+      assert.deepEqual(lintMarkdown(document), [])
+    })
+
+    it("should lint fenced JS code blocks with the house style", () => {
+      const messages = lintMarkdown(document, {codeBlocks: true})
+
+      assert.deepEqual(ruleIds(messages), ["@stylistic/quotes"])
+      assert.equal(messages[0].line, 6)
+    })
+
+    it("should keep linting the document in code block mode", () => {
+      const messages = lintMarkdown("# Title\n\n#### Skipped \n", {codeBlocks: true})
+
+      assert.deepEqual(ruleIds(messages), [
+        "markdown/heading-increment",
+        "uglier/no-trailing-spaces",
+      ])
+    })
+
+    it("should keep the lints-js overrides in code blocks", () => {
+      const messages = lintMarkdown(
+        document,
+        {codeBlocks: true},
+        {"lints-js": {overrides: {"@stylistic/quotes": "off"}}}
+      )
+
+      assert.deepEqual(messages, [])
+    })
+
+    it("should follow lints-js options in code blocks", () => {
+      const messages = lintMarkdown(
+        document,
+        {codeBlocks: true},
+        {"lints-js": {quotes: "single"}}
+      )
+
+      assert.deepEqual(messages, [])
+    })
+
+    it("should fix code blocks in place", () => {
+      const linter = new Linter({configType: "flat"})
+      const {output} = linter.verifyAndFix(
+        document,
+        uglier({
+          with: ["lints-markdown"],
+          options: {"lints-markdown": {codeBlocks: true}}
+        }),
+        "README.md"
+      )
+
+      assert.equal(output, document.replace("'hello'", "\"hello\""))
+    })
+  })
+})
@@ -0,0 +1,188 @@
+/**
+ * @file lints-ts.test.js - Tests for the TypeScript linting block
+ */
+
+import {describe, it} from "node:test"
+import assert from "node:assert/strict"
+import {Linter} from "eslint"
+import uglier from "../../src/uglier.js"
+
+const lintTs = (code, filename = "src/example.ts", options = {}) => {
+  const linter = new Linter({configType: "flat"})
+  const configs = uglier({with: ["lints-ts"], options: {"lints-ts": options}})
+
+  return linter.verify(code, configs, filename)
+}
+
+describe("TypeScript Configuration", () => {
+  describe("lints-ts config", () => {
+    it("should target TypeScript files by default", () => {
+      const [config] = uglier({with: ["lints-ts"]})
+
+      assert.equal(config.name, "gesslar/uglier/lints-ts")
+      assert.deepEqual(config.files, ["src/**/*.{ts,tsx,mts,cts}"])
+    })
+
+    it("should wire the TypeScript parser", () => {
+      const [config] = uglier({with: ["lints-ts"]})
+
+      assert.equal(typeof config.languageOptions.parser.parseForESLint, "function")
+    })
+
+    it("should share the lints-js house style", () => {
+      const [jsConfig, tsConfig] = uglier({with: ["lints-js", "lints-ts"]})
+      const stylisticRules = Object.keys(jsConfig.rules)
+        .filter(rule => rule.startsWith("@stylistic/"))
+
+      for(const rule of stylisticRules)
+        assert.deepEqual(tsConfig.rules[rule], jsConfig.rules[rule], rule)
+    })
+
+    it("should add type-aware stylistic rules", () => {
+      const [config] = uglier({with: ["lints-ts"]})
+
+      assert.ok(config.rules["@stylistic/type-annotation-spacing"])
+      assert.ok(config.rules["@stylistic/member-delimiter-style"])
+    })
+
+    it("should leave arrow spacing to arrow-spacing", () => {
+      const [config] = uglier({with: ["lints-ts"]})
+
+      // overrides.arrow is deprecated and prints a warning on every run
+      assert.equal(config.rules["@stylistic/type-annotation-spacing"][1].overrides, undefined)
+      assert.ok(config.rules["@stylistic/arrow-spacing"])
+    })
+
+    it("should honour indent and maxLen", () => {
+      const [config] = uglier({
+        with: ["lints-ts"],
+        options: {"lints-ts": {indent: 4, maxLen: 100}}
+      })
+
+      assert.equal(config.rules["@stylistic/indent"][1], 4)
+      assert.equal(config.rules["@stylistic/max-len"][1].code, 100)
+    })
+
+    it("should follow the lints-js quotes setting", () => {
+      const configs = uglier({
+        with: ["lints-js", "lints-ts"],
+        options: {"lints-js": {quotes: "single"}}
+      })
+      const config = configs.find(c => c.name === "gesslar/uglier/lints-ts")
+
+      assert.equal(config.rules["@stylistic/quotes"][1], "single")
+    })
+
+    it("should carry the lints-js style", () => {
+      const configs = uglier({
+        with: ["lints-js", "lints-ts"],
+        options: {"lints-js": {indent: 4, maxLen: 120}}
+      })
+      const config = configs.find(c => c.name === "gesslar/uglier/lints-ts")
+
+      assert.equal(config.rules["@stylistic/indent"][1], 4)
+      assert.equal(config.rules["@stylistic/max-len"][1].code, 120)
+    })
+
+    it("should carry the lints-js overrides", () => {
+      const configs = uglier({
+        with: ["lints-js", "lints-ts"],
+        options: {"lints-js": {overrides: {"@stylistic/semi": ["error", "always"]}}}
+      })
+      const config = configs.find(c => c.name === "gesslar/uglier/lints-ts")
+
+      assert.deepEqual(config.rules["@stylistic/semi"], ["error", "always"])
+    })
+
+    it("should let its own style and overrides win over lints-js", () => {
+      const configs = uglier({
+        with: ["lints-js", "lints-ts"],
+        options: {
+          "lints-js": {indent: 4, overrides: {"@stylistic/semi": ["error", "always"]}},
+          "lints-ts": {indent: 2, overrides: {"@stylistic/semi": "off"}},
+        }
+      })
+      const config = configs.find(c => c.name === "gesslar/uglier/lints-ts")
+
+      assert.equal(config.rules["@stylistic/indent"][1], 2)
+      assert.equal(config.rules["@stylistic/semi"], "off")
+    })
+
+    it("should lint TypeScript at the lints-js indent", () => {
+      const linter = new Linter({configType: "flat"})
+      const configs = uglier({
+        with: ["lints-js", "lints-ts"],
+        files: ["**/*.js"],
+        options: {
+          "lints-js": {indent: 4},
+          "lints-ts": {files: ["**/*.ts"]},
+        }
+      })
+      const code = "export function greet(name: string): string {\n    return name\n}\n"
+
+      assert.deepEqual(linter.verify(code, configs, "src/greet.ts"), [])
+    })
+
+    it("should let its own quotes win", () => {
+      const [config] = uglier({
+        with: ["lints-ts"],
+        options: {"lints-ts": {quotes: "single"}}
+      })
+
+      assert.equal(config.rules["@stylistic/quotes"][1], "single")
+    })
+
+    it("should pass parserOptions through", () => {
+      const [config] = uglier({
+        with: ["lints-ts"],
+        options: {"lints-ts": {parserOptions: {projectService: true}}}
+      })
+
+      assert.equal(config.languageOptions.parserOptions.projectService, true)
+    })
+
+    it("should allow rule overrides", () => {
+      const [config] = uglier({
+        with: ["lints-ts"],
+        options: {"lints-ts": {overrides: {"@stylistic/semi": ["error", "always"]}}}
+      })
+
+      assert.deepEqual(config.rules["@stylistic/semi"], ["error", "always"])
+    })
+  })
+
+  describe("linting TypeScript source", () => {
+    it("should accept code written in the house style", () => {
+      const code = [
+        "interface Point {",
+        "  x: number",
+        "  y: number",
+        "}",
+        "",
+        "export const origin: Point = {x: 0, y: 0}",
+        "",
+      ].join("\n")
+
+      assert.deepEqual(lintTs(code), [])
+    })
+
+    it("should report type annotation spacing", () => {
+      const messages = lintTs("export const answer : number = 42\n")
+
+      assert.ok(messages.some(m => m.ruleId === "@stylistic/type-annotation-spacing"))
+    })
+
+    it("should report semicolon member delimiters", () => {
+      const code = "export interface Point {\n  x: number;\n}\n"
+      const messages = lintTs(code)
+
+      assert.ok(messages.some(m => m.ruleId === "@stylistic/member-delimiter-style"))
+    })
+
+    it("should parse TSX files", () => {
+      const code = "export const view = (name: string) => <p>{name}</p>\n"
+
+      assert.deepEqual(lintTs(code, "src/view.tsx"), [])
+    })
+  })
+})
@@ -0,0 +1,122 @@
+/**
+ * @file optional-plugins.test.js - Tests for missing optional plugin errors
+ */
+
+import {describe, it, before, after} from "node:test"
+import assert from "node:assert/strict"
+import {mkdtemp, rm, writeFile} from "node:fs/promises"
+import {tmpdir} from "node:os"
+import {join} from "node:path"
+import {fileURLToPath} from "node:url"
+import uglier, {defineBlock, registerConfig} from "../../src/uglier.js"
+import {getPackageManagerInfo} from "../../src/package-manager.js"
+
+const FIXTURES_DIR = fileURLToPath(new URL("../fixtures/pkg-managers/", import.meta.url))
+
+describe("Optional plugins", () => {
+  describe("missing plugins", () => {
+    let built = false
+
+    registerConfig(
+      defineBlock("acme-missing", () => {
+        built = true
+
+        return {name: "acme/missing"}
+      }, {plugins: ["eslint-plugin-acme-missing", "globals"]}),
+      defineBlock("acme-missing-many", () => ({name: "acme/missing-many"}), {
+        plugins: ["eslint-plugin-acme-one", "eslint-plugin-acme-two"],
+      }),
+      defineBlock("acme-installed", () => ({name: "acme/installed"}), {
+        plugins: ["globals"],
+      }),
+    )
+
+    it("should name the block, the package and the install command", () => {
+      const {installCmd} = getPackageManagerInfo()
+
+      assert.throws(() => uglier({with: ["acme-missing"]}), {
+        message:
+          "Config \"acme-missing\" needs \"eslint-plugin-acme-missing\", " +
+          "which is not installed. Install with: " +
+          `${installCmd} eslint-plugin-acme-missing`,
+      })
+    })
+
+    it("should list every missing package in one command", () => {
+      assert.throws(
+        () => uglier({with: ["acme-missing-many"]}),
+        /"eslint-plugin-acme-one", "eslint-plugin-acme-two", which are not installed\. Install with: .+ eslint-plugin-acme-one eslint-plugin-acme-two$/
+      )
+    })
+
+    it("should check before any block is built", () => {
+      assert.throws(() => uglier({with: ["lints-js", "acme-missing"]}))
+      assert.equal(built, false)
+    })
+
+    it("should accept blocks whose plugins are installed", () => {
+      assert.deepEqual(uglier({with: ["acme-installed"]}), [{name: "acme/installed"}])
+    })
+  })
+
+  describe("built-in blocks", () => {
+    it("should build framework blocks when their plugins are installed", () => {
+      const configs = uglier({with: ["starlight", "vue", "svelte", "lints-ts", "lints-json", "lints-markdown"]})
+
+      assert.ok(configs.length > 0)
+    })
+  })
+
+  describe("getPackageManagerInfo", () => {
+    it("should read the packageManager field before lock files", () => {
+      assert.deepEqual(getPackageManagerInfo(`${FIXTURES_DIR}bun`), {
+        manager: "bun",
+        installCmd: "bun add -d",
+      })
+      assert.equal(getPackageManagerInfo(`${FIXTURES_DIR}yarn`).installCmd, "yarn add -D")
+    })
+
+    describe("without a packageManager field", () => {
+      let project
+
+      before(async() => {
+        project = await mkdtemp(join(tmpdir(), "uglier-lock-files-"))
+      })
+
+      after(async() => {
+        await rm(project, {recursive: true, force: true})
+      })
+
+      it("should fall back to lock files, pnpm's first", async() => {
+        await writeFile(join(project, "package.json"), "{\"name\": \"lock-files\"}\n")
+        await writeFile(join(project, "package-lock.json"), "{}\n")
+        await writeFile(join(project, "pnpm-lock.yaml"), "lockfileVersion: '9.0'\n")
+
+        assert.equal(getPackageManagerInfo(project).manager, "pnpm")
+      })
+
+      it("should detect bun from its text lock file", async() => {
+        const bunProject = await mkdtemp(join(tmpdir(), "uglier-bun-lock-"))
+
+        try {
+          await writeFile(join(bunProject, "package.json"), "{\"name\": \"bun-lock\"}\n")
+          await writeFile(join(bunProject, "bun.lock"), "{\"lockfileVersion\": 1}\n")
+
+          assert.deepEqual(getPackageManagerInfo(bunProject), {
+            manager: "bun",
+            installCmd: "bun add -d",
+          })
+        } finally {
+          await rm(bunProject, {recursive: true, force: true})
+        }
+      })
+
+      it("should skip a malformed package.json", async() => {
+        await writeFile(join(project, "package.json"), "{\"name\": \"lock-files\",\n")
+        await writeFile(join(project, "pnpm-lock.yaml"), "lockfileVersion: '9.0'\n")
+
+        assert.equal(getPackageManagerInfo(project).manager, "pnpm")
+      })
+    })
+  })
+})
@@ -0,0 +1,169 @@
+/**
+ * @file options-validation.test.js - Tests for per-block option schemas
+ */
+
+import {describe, it} from "node:test"
+import assert from "node:assert/strict"
+import uglier, {defineBlock, registerConfig} from "../../src/uglier.js"
+
+describe("Options Validation", () => {
+  describe("unknown option keys", () => {
+    it("should reject a misspelled option with a suggestion", () => {
+      assert.throws(
+        () => uglier({
+          with: ["lints-js"],
+          options: {"lints-js": {maxlen: 120}}
+        }),
+        /Unknown option "maxlen" for config "lints-js"\. Did you mean "maxLen"\?/
+      )
+    })
+
+    it("should list valid options when nothing is close", () => {
+      assert.throws(
+        () => uglier({
+          with: ["node"],
+          options: {node: {somethingElse: true}}
+        }),
+        error => {
+          assert.doesNotMatch(error.message, /Did you mean/)
+          assert.match(error.message, /Valid options: files, ignores, additionalGlobals/)
+
+          return true
+        }
+      )
+    })
+
+    it("should accept every documented option", () => {
+      assert.doesNotThrow(() => uglier({
+        with: ["lints-js", "languageOptions", "node"],
+        options: {
+          "lints-js": {files: "src/**/*.js", ignores: [], indent: 4, maxLen: 100, overrides: {}},
+          "languageOptions": {ecmaVersion: 2024, sourceType: "script", additionalGlobals: {}},
+          "node": {files: ["src/**/*.js"], ignores: "dist/**", additionalGlobals: {}},
+        }
+      }))
+    })
+  })
+
+  describe("option types", () => {
+    it("should reject a wrongly typed option", () => {
+      assert.throws(
+        () => uglier({
+          with: ["lints-js"],
+          options: {"lints-js": {indent: "4"}}
+        }),
+        /Option "indent" for config "lints-js" must be of type number, got string/
+      )
+    })
+
+    it("should accept any of several allowed types", () => {
+      assert.throws(
+        () => uglier({
+          with: ["web"],
+          options: {web: {files: {}}}
+        }),
+        /must be of type string or array, got object/
+      )
+    })
+
+    it("should reject values outside an enum with a suggestion", () => {
+      assert.throws(
+        () => uglier({
+          with: ["languageOptions"],
+          options: {languageOptions: {sourceType: "modul"}}
+        }),
+        /must be one of "module", "script", "commonjs", got "modul"\. Did you mean "module"\?/
+      )
+    })
+
+    it("should reject options that are not objects", () => {
+      assert.throws(
+        () => uglier({
+          with: ["lints-js"],
+          options: {"lints-js": ["indent", 4]}
+        }),
+        /Options for "lints-js" must be an object, got array/
+      )
+    })
+  })
+
+  describe("block selection", () => {
+    it("should reject options for a block that is not selected", () => {
+      assert.throws(
+        () => uglier({
+          with: ["lints-js"],
+          options: {web: {files: ["public/**/*.js"]}}
+        }),
+        /Options provided for "web", but it is not selected/
+      )
+    })
+
+    it("should reject options for a block excluded via without", () => {
+      assert.throws(
+        () => uglier({
+          with: ["lints-js", "lints-jsdoc"],
+          without: ["lints-jsdoc"],
+          options: {"lints-jsdoc": {overrides: {}}}
+        }),
+        /Options provided for "lints-jsdoc", but it is not selected/
+      )
+    })
+
+    it("should reject options for an unknown block with a suggestion", () => {
+      assert.throws(
+        () => uglier({
+          with: ["lints-js"],
+          options: {"lint-js": {indent: 4}}
+        }),
+        /Unknown config: "lint-js" in "options"\. Did you mean "lints-js"\?/
+      )
+    })
+
+    it("should reject unknown names in without with a suggestion", () => {
+      assert.throws(
+        () => uglier({
+          with: ["lints-js", "lints-jsdoc"],
+          without: ["lints-jsdc"]
+        }),
+        /Unknown config: "lints-jsdc" in "without"\. Did you mean "lints-jsdoc"\?/
+      )
+    })
+
+    it("should suggest close names for unknown configs in with", () => {
+      assert.throws(
+        () => uglier({with: ["nodee"]}),
+        /Unknown config: "nodee" in "with"\. Did you mean "node"\?/
+      )
+    })
+  })
+
+  describe("custom blocks", () => {
+    it("should validate options against a registered schema", () => {
+      registerConfig(defineBlock("acme-schema", () => ({}), {
+        schema: {level: {enum: ["low", "high"]}}
+      }))
+
+      assert.doesNotThrow(() => uglier({
+        with: ["acme-schema"],
+        options: {"acme-schema": {level: "high"}}
+      }))
+
+      assert.throws(
+        () => uglier({
+          with: ["acme-schema"],
+          options: {"acme-schema": {levle: "high"}}
+        }),
+        /Unknown option "levle" for config "acme-schema"\. Did you mean "level"\?/
+      )
+    })
+
+    it("should not validate option keys when no schema is declared", () => {
+      registerConfig(defineBlock("acme-schemaless", () => ({})))
+
+      assert.doesNotThrow(() => uglier({
+        with: ["acme-schemaless"],
+        options: {"acme-schemaless": {anything: 1}}
+      }))
+    })
+  })
+})
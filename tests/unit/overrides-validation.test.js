@@ -0,0 +1,169 @@
+/**
+ * @file overrides-validation.test.js - Tests for rule override validation
+ */
+
+import {describe, it, beforeEach, afterEach, mock} from "node:test"
+import assert from "node:assert/strict"
+import uglier, {defineBlock, registerConfig} from "../../src/uglier.js"
+
+/**
+ * Build lints-js options with the given overrides
+ *
+ * @param {object} overrides - Rule overrides
+ * @returns {object} uglify options
+ */
+const withLintsJs = overrides => ({
+  with: ["lints-js"],
+  options: {"lints-js": {overrides}}
+})
+
+describe("Overrides Validation", () => {
+  let warn
+
+  beforeEach(() => {
+    warn = mock.method(console, "warn", () => {})
+  })
+
+  afterEach(() => {
+    warn.mock.restore()
+  })
+
+  describe("rule names", () => {
+    it("should reject a misspelled plugin rule with a suggestion", () => {
+      assert.throws(
+        () => uglier(withLintsJs({"@stylistic/semis": "error"})),
+        /Unknown rule "@stylistic\/semis" in "lints-js" overrides\. Did you mean "@stylistic\/semi"\?/
+      )
+    })
+
+    it("should reject a misspelled core rule with a suggestion", () => {
+      assert.throws(
+        () => uglier(withLintsJs({"no-consol": "off"})),
+        /Unknown rule "no-consol" in "lints-js" overrides\. Did you mean "no-console"\?/
+      )
+    })
+
+    it("should reject a misspelled jsdoc rule", () => {
+      assert.throws(
+        () => uglier({
+          with: ["lints-jsdoc"],
+          options: {"lints-jsdoc": {overrides: {"jsdoc/require-jsdocs": "off"}}}
+        }),
+        /Unknown rule "jsdoc\/require-jsdocs" in "lints-jsdoc" overrides\. Did you mean "jsdoc\/require-jsdoc"\?/
+      )
+    })
+
+    it("should check rules against the plugins the block registers", () => {
+      // lints-js does not register the jsdoc plugin, so it cannot vouch for it
+      assert.doesNotThrow(() => uglier(withLintsJs({"jsdoc/anything": "off"})))
+    })
+
+    it("should accept valid overrides", () => {
+      const configs = uglier(withLintsJs({
+        "@stylistic/semi": ["error", "always"],
+        "no-console": "warn",
+      }))
+
+      assert.deepEqual(configs[0].rules["@stylistic/semi"], ["error", "always"])
+      assert.equal(configs[0].rules["no-console"], "warn")
+    })
+  })
+
+  describe("rule options", () => {
+    it("should reject options that do not match the rule schema", () => {
+      assert.throws(
+        () => uglier(withLintsJs({"@stylistic/semi": ["error", "sometimes"]})),
+        /Invalid options for rule "@stylistic\/semi" in "lints-js" overrides: Value "sometimes"/
+      )
+    })
+
+    it("should reject unexpected properties in rule options", () => {
+      assert.throws(
+        () => uglier(withLintsJs({"no-unused-vars": ["error", {bogus: true}]})),
+        /Invalid options for rule "no-unused-vars".*Unexpected property "bogus"/s
+      )
+    })
+
+    it("should not repeat lines of the schema error", () => {
+      assert.throws(
+        () => uglier(withLintsJs({"@stylistic/semi": ["error", "sometimes"]})),
+        error => {
+          const sentences = error.message.split(": ").slice(1).join(": ").split(/(?<=\.) /)
+
+          assert.equal(new Set(sentences).size, sentences.length)
+
+          return true
+        }
+      )
+    })
+
+    it("should reject invalid severities", () => {
+      assert.throws(
+        () => uglier(withLintsJs({"prefer-const": "loud"})),
+        /Invalid options for rule "prefer-const" in "lints-js" overrides/
+      )
+    })
+  })
+
+  describe("deprecated rules", () => {
+    it("should warn about deprecated rules and name the replacement", () => {
+      uglier(withLintsJs({"@stylistic/jsx-indent": "error"}))
+
+      const messages = warn.mock.calls.map(call => call.arguments[0])
+
+      assert.ok(messages.some(message =>
+        /Rule "@stylistic\/jsx-indent" in "lints-js" overrides is deprecated\. Use "@stylistic\/indent" instead\./.test(message)
+      ))
+    })
+
+    it("should name replacements that live in other plugins", () => {
+      uglier(withLintsJs({"array-bracket-newline": "error"}))
+
+      const messages = warn.mock.calls.map(call => call.arguments[0])
+
+      assert.ok(messages.some(message =>
+        /"array-bracket-newline \(from @stylistic\/eslint-plugin\)"/.test(message)
+      ))
+    })
+
+    it("should warn once, without running the rule", () => {
+      uglier(withLintsJs({"@stylistic/jsx-props-no-multi-spaces": "error"}))
+      uglier(withLintsJs({"@stylistic/jsx-props-no-multi-spaces": "error"}))
+
+      assert.deepEqual(warn.mock.calls.map(call => call.arguments[0]), [
+        "[uglier] Rule \"@stylistic/jsx-props-no-multi-spaces\" in \"lints-js\" overrides is deprecated. Use \"@stylistic/no-multi-spaces\" instead.",
+      ])
+    })
+
+    it("should not warn when a deprecated rule is turned off", () => {
+      uglier(withLintsJs({"array-bracket-newline": "off"}))
+
+      assert.equal(warn.mock.callCount(), 0)
+    })
+  })
+
+  describe("custom blocks", () => {
+    it("should validate overrides against a custom block's plugins", () => {
+      registerConfig(defineBlock("acme-rules", (options = {}) => ({
+        name: "acme/rules",
+        plugins: {
+          acme: {rules: {"no-foo": {meta: {schema: []}, create: () => ({})}}}
+        },
+        rules: {...options.overrides},
+      })))
+
+      assert.doesNotThrow(() => uglier({
+        with: ["acme-rules"],
+        options: {"acme-rules": {overrides: {"acme/no-foo": "error"}}}
+      }))
+
+      assert.throws(
+        () => uglier({
+          with: ["acme-rules"],
+          options: {"acme-rules": {overrides: {"acme/no-fo": "error"}}}
+        }),
+        /Unknown rule "acme\/no-fo" in "acme-rules" overrides\. Did you mean "acme\/no-foo"\?/
+      )
+    })
+  })
+})
@@ -206,6 +206,19 @@ describe("Package Manager Detection", () => {
       assert.match(output, /bunx eslint \./)
       assert.doesNotMatch(output, /npx eslint \./)
     })
+
+    it("should suggest the bun environment for bun projects", async() => {
+      const logs = []
+      const originalLog = console.log
+      console.log = (...args) => logs.push(args.join(" "))
+
+      await generateConfig([])
+
+      console.log = originalLog
+
+      const output = logs.join("\n")
+      assert.match(output, /Example: npx @gesslar\/uglier init bun/)
+    })
   })
 
   describe("fallback when no lock file", () => {
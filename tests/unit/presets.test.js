@@ -0,0 +1,145 @@
+/**
+ * @file presets.test.js - Tests for named presets
+ */
+
+import {describe, it} from "node:test"
+import assert from "node:assert/strict"
+import uglier, {
+  availableConfigs,
+  availablePresets,
+  defineBlock,
+  describePresets,
+  registerConfig
+} from "../../src/uglier.js"
+import {getAvailablePresets} from "../../bin/cli.js"
+
+const blockNames = configs => configs
+  .map(c => c.name)
+  .filter(name => name?.startsWith("gesslar/uglier/"))
+  .map(name => name.slice("gesslar/uglier/".length))
+
+describe("Presets", () => {
+  describe("expansion", () => {
+    it("should expand preset:node-library into its member blocks", () => {
+      const configs = uglier({with: ["preset:node-library"]})
+
+      assert.deepEqual(blockNames(configs), [
+        "lints-js", "lints-jsdoc", "languageOptions", "node", "cjs-override",
+      ])
+    })
+
+    it("should expand preset:tauri-app into its member blocks", () => {
+      const configs = uglier({with: ["preset:tauri-app"]})
+
+      assert.deepEqual(blockNames(configs), [
+        "lints-js", "lints-jsdoc", "languageOptions", "tauri",
+      ])
+    })
+
+    it("should expand preset:vscode-extension into its member blocks", () => {
+      const names = blockNames(uglier({with: ["preset:vscode-extension"]}))
+
+      assert.ok(names.includes("vscode-extension-host"))
+      assert.ok(names.includes("vscode-webview"))
+      assert.ok(!names.includes("node"))
+    })
+
+    it("should not duplicate blocks listed alongside a preset", () => {
+      const configs = uglier({with: ["preset:node-library", "node", "web"]})
+      const names = blockNames(configs)
+
+      assert.equal(names.filter(n => n === "node").length, 1)
+      assert.equal(names.at(-1), "web")
+    })
+
+    it("should apply without after expanding presets", () => {
+      const configs = uglier({
+        with: ["preset:node-library"],
+        without: ["lints-jsdoc", "cjs-override"]
+      })
+
+      assert.deepEqual(blockNames(configs), [
+        "lints-js", "languageOptions", "node",
+      ])
+    })
+
+    it("should accept presets in without", () => {
+      const configs = uglier({
+        with: ["lints-js", "web", "node"],
+        without: ["preset:node-library"]
+      })
+
+      assert.deepEqual(blockNames(configs), ["web"])
+    })
+
+    it("should apply per-block options to expanded members", () => {
+      const configs = uglier({
+        with: ["preset:node-library"],
+        options: {
+          "node": {files: ["lib/**/*.js"]},
+          "lints-js": {indent: 4}
+        }
+      })
+
+      const node = configs.find(c => c.name === "gesslar/uglier/node")
+      const lintsJs = configs.find(c => c.name === "gesslar/uglier/lints-js")
+
+      assert.deepEqual(node.files, ["lib/**/*.js"])
+      assert.equal(lintsJs.rules["@stylistic/indent"][1], 4)
+    })
+
+    it("should throw for unknown presets", () => {
+      assert.throws(
+        () => uglier({with: ["preset:nope"]}),
+        /Unknown preset: "preset:nope"/
+      )
+    })
+  })
+
+  describe("listing", () => {
+    it("should list presets separately from config blocks", () => {
+      assert.deepEqual(availablePresets, [
+        "preset:node-library",
+        "preset:tauri-app",
+        "preset:vscode-extension",
+      ])
+      assert.ok(!availableConfigs.some(name => name.startsWith("preset:")))
+    })
+
+    it("should expose presets to the CLI help", async() => {
+      const presets = await getAvailablePresets()
+      const nodeLibrary = presets.find(p => p.name === "preset:node-library")
+
+      assert.equal(presets.length, availablePresets.length)
+      assert.ok(nodeLibrary.description.length > 0)
+      assert.deepEqual(nodeLibrary.blocks, [
+        "lints-js", "lints-jsdoc", "languageOptions", "node", "cjs-override",
+      ])
+    })
+
+    it("should describe every preset", () => {
+      const presets = describePresets()
+
+      assert.deepEqual(presets.map(p => p.name), availablePresets)
+      assert.ok(presets.every(p => typeof p.description === "string" && p.description.length > 0))
+      assert.deepEqual(presets.find(p => p.name === "preset:tauri-app").blocks, [
+        "lints-js", "lints-jsdoc", "languageOptions", "tauri",
+      ])
+    })
+
+    it("should hand out copies of the preset blocks", () => {
+      describePresets()[0].blocks.push("web")
+
+      assert.ok(!describePresets()[0].blocks.includes("web"))
+    })
+  })
+
+  describe("custom blocks", () => {
+    it("should reserve the preset: prefix", () => {
+      assert.throws(
+        () => registerConfig(defineBlock("preset:mine", () => ({}))),
+        /may not start with "preset:"/
+      )
+    })
+  })
+})
@@ -0,0 +1,158 @@
+/**
+ * @file shared-options.test.js - Tests for the top-level files, ignores and
+ * basePath options
+ */
+
+import {describe, it} from "node:test"
+import assert from "node:assert/strict"
+import {Linter} from "eslint"
+import uglier, {defineBlock, registerConfig} from "../../src/uglier.js"
+
+const find = (configs, name) =>
+  configs.find(c => c.name === `gesslar/uglier/${name}`)
+
+describe("Shared options", () => {
+  describe("files and ignores", () => {
+    it("should default every selected block's files and ignores", () => {
+      const configs = uglier({
+        with: ["lints-js", "lints-jsdoc", "node"],
+        files: ["packages/api/**/*.js"],
+        ignores: "packages/api/dist/**",
+      })
+
+      for(const name of ["lints-js", "lints-jsdoc", "node"]) {
+        assert.deepEqual(find(configs, name).files, ["packages/api/**/*.js"])
+        assert.deepEqual(find(configs, name).ignores, ["packages/api/dist/**"])
+      }
+    })
+
+    it("should let per-block options win", () => {
+      const configs = uglier({
+        with: ["lints-js", "node"],
+        files: ["packages/api/**/*.js"],
+        ignores: ["packages/api/dist/**"],
+        options: {node: {files: ["packages/api/bin/**"]}},
+      })
+
+      assert.deepEqual(find(configs, "lints-js").files, ["packages/api/**/*.js"])
+      assert.deepEqual(find(configs, "node").files, ["packages/api/bin/**"])
+      assert.deepEqual(find(configs, "node").ignores, ["packages/api/dist/**"])
+    })
+
+    it("should leave the files of override blocks alone", () => {
+      const configs = uglier({
+        with: ["lints-js", "cjs-override"],
+        files: ["packages/api/**/*.js"],
+        ignores: ["packages/api/dist/**"],
+      })
+
+      assert.deepEqual(find(configs, "cjs-override").files, ["**/*.cjs"])
+      assert.deepEqual(find(configs, "cjs-override").ignores, ["packages/api/dist/**"])
+    })
+
+    it("should not pass them to blocks that don't accept them", () => {
+      const configs = uglier({
+        with: ["lints-js", "languageOptions"],
+        files: ["packages/api/**/*.js"],
+      })
+
+      assert.equal(find(configs, "languageOptions").files, undefined)
+    })
+
+    it("should only hand files to JavaScript source blocks", () => {
+      const configs = uglier({
+        with: [
+          "lints-js", "lints-jsdoc", "node", "bun", "lints-json",
+          "lints-markdown", "tests", "userscript", "config-files", "worker",
+          "service-worker", "edge-worker",
+        ],
+        files: ["packages/api/**/*.js"],
+        ignores: ["packages/api/dist/**"],
+      })
+
+      for(const name of ["lints-js", "lints-jsdoc", "node", "bun"])
+        assert.deepEqual(find(configs, name).files, ["packages/api/**/*.js"], name)
+
+      for(const name of ["lints-json", "lints-markdown", "tests", "userscript", "config-files", "worker", "service-worker", "edge-worker"]) {
+        assert.notDeepEqual(find(configs, name).files, ["packages/api/**/*.js"], name)
+        assert.ok(find(configs, name).ignores.includes("packages/api/dist/**"), name)
+      }
+    })
+
+    it("should leave bun's test files alone", () => {
+      const configs = uglier({
+        with: ["lints-js", "bun"],
+        files: ["packages/api/**/*.js"],
+      })
+      const defaults = uglier({with: ["lints-js", "bun"]})
+
+      assert.deepEqual(
+        configs.filter(c => c.name?.startsWith("gesslar/uglier/bun")).slice(1),
+        defaults.filter(c => c.name?.startsWith("gesslar/uglier/bun")).slice(1)
+      )
+    })
+
+    it("should hand files to custom blocks that opt in", () => {
+      registerConfig(
+        defineBlock("acme-shared", ({files = ["lib/**/*.js"]}) => ({name: "acme/shared", files}), {
+          schema: {files: {type: ["string", "array"]}},
+          sharedFiles: true,
+        }),
+        defineBlock("acme-own", ({files = ["lib/**/*.css"]}) => ({name: "acme/own", files}), {
+          schema: {files: {type: ["string", "array"]}},
+        }),
+      )
+
+      const configs = uglier({with: ["acme-shared", "acme-own"], files: ["packages/api/**/*.js"]})
+
+      assert.deepEqual(configs.find(c => c.name === "acme/shared").files, ["packages/api/**/*.js"])
+      assert.deepEqual(configs.find(c => c.name === "acme/own").files, ["lib/**/*.css"])
+    })
+  })
+
+  describe("basePath", () => {
+    it("should set basePath on every config", () => {
+      const configs = uglier({
+        with: ["lints-js", "lints-json", "node"],
+        basePath: "packages/api",
+      })
+
+      assert.ok(configs.every(config => config.basePath === "packages/api"))
+    })
+
+    it("should not add basePath unless given", () => {
+      const configs = uglier({with: ["lints-js", "node"]})
+
+      assert.ok(configs.every(config => !("basePath" in config)))
+    })
+
+    it("should resolve block patterns inside the base path", () => {
+      const linter = new Linter({configType: "flat", cwd: "/project"})
+      const configs = [
+        ...uglier({basePath: "packages/api", with: ["lints-js", "node"]}),
+        ...uglier({basePath: "packages/web", with: ["web"]}),
+      ]
+      const lint = filename => linter.verify("const a = 1;\n\nconsole.log(a, process)\n", configs, filename)
+
+      assert.deepEqual(
+        lint("/project/packages/api/src/index.js").map(m => m.ruleId),
+        ["@stylistic/semi"]
+      )
+      assert.deepEqual(
+        lint("/project/packages/web/src/index.js").map(m => m.ruleId),
+        []
+      )
+    })
+  })
+
+  describe("validation", () => {
+    it("should reject files and ignores that aren't strings or arrays", () => {
+      assert.throws(() => uglier({files: {}}), /Option "files" must be of type string or array, got object/)
+      assert.throws(() => uglier({ignores: 1}), /Option "ignores" must be of type string or array, got number/)
+    })
+
+    it("should reject a basePath that isn't a string", () => {
+      assert.throws(() => uglier({basePath: ["packages/api"]}), /Option "basePath" must be of type string, got array/)
+    })
+  })
+})
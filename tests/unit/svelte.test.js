@@ -0,0 +1,115 @@
+/**
+ * @file svelte.test.js - Tests for the Svelte component block
+ */
+
+import {describe, it} from "node:test"
+import assert from "node:assert/strict"
+import {Linter} from "eslint"
+import uglier from "../../src/uglier.js"
+import {getAvailableConfigs} from "../../bin/cli.js"
+
+const findSvelte = configs => configs.find(c => c.name === "gesslar/uglier/svelte")
+
+const lintSvelte = (code, filename = "src/App.svelte") => {
+  const linter = new Linter({configType: "flat"})
+  const configs = uglier({with: ["lints-js", "svelte"]})
+
+  return linter.verify(code, configs, filename)
+}
+
+describe("Svelte Configuration", () => {
+  describe("svelte config", () => {
+    it("should include the eslint-plugin-svelte base configs", () => {
+      const configs = uglier({with: ["svelte"]})
+      const names = configs.map(c => c.name)
+
+      assert.ok(names.some(n => n?.startsWith("svelte:base")))
+      assert.ok(configs.some(c => c.plugins?.svelte), "Should register the svelte plugin")
+    })
+
+    it("should target components and rune modules by default", () => {
+      const config = findSvelte(uglier({with: ["svelte"]}))
+
+      assert.deepEqual(config.files, ["src/**/*.svelte", "src/**/*.svelte.{js,ts}"])
+    })
+
+    it("should provide browser globals and readonly runes", () => {
+      const {globals} = findSvelte(uglier({with: ["svelte"]})).languageOptions
+
+      assert.notEqual(globals.document, undefined)
+
+      for(const rune of ["$state", "$derived", "$props", "$effect"])
+        assert.equal(globals[rune], false, `${rune} should be readonly`)
+    })
+
+    it("should support files, ignores and additionalGlobals", () => {
+      const config = findSvelte(uglier({
+        with: ["svelte"],
+        options: {
+          svelte: {
+            files: ["app/**/*.svelte"],
+            ignores: "app/legacy/**",
+            additionalGlobals: {__APP__: "readonly"},
+          },
+        },
+      }))
+
+      assert.deepEqual(config.files, ["app/**/*.svelte"])
+      assert.deepEqual(config.ignores, ["app/legacy/**"])
+      assert.equal(config.languageOptions.globals.__APP__, "readonly")
+    })
+
+    it("should be offered as a CLI target", async() => {
+      const configs = await getAvailableConfigs()
+      const entry = configs.find(c => c.name === "svelte")
+
+      assert.ok(entry, "svelte should be listed for init/add")
+      assert.equal(entry.files, `["src/**/*.svelte", "src/**/*.svelte.{js,ts}"]`)
+    })
+
+    it("should carry the lints-js style only when lints-js is selected", () => {
+      const styled = findSvelte(uglier({with: ["lints-js", "svelte"]}))
+      const plain = findSvelte(uglier({with: ["svelte"]}))
+
+      assert.ok(styled.rules["@stylistic/semi"])
+      assert.equal(plain.rules, undefined)
+    })
+  })
+
+  describe("linting components", () => {
+    it("should accept a component written in the house style", () => {
+      const code = [
+        "<script>",
+        "  let {name} = $props()",
+        "  let count = $state(0)",
+        "  let doubled = $derived(count * 2)",
+        "",
+        "  $effect(() => {",
+        "    document.title = `${name}: ${doubled}`",
+        "  })",
+        "</script>",
+        "",
+        "<button onclick={() => count++}>{count}</button>",
+        "",
+      ].join("\n")
+
+      assert.deepEqual(lintSvelte(code), [])
+    })
+
+    it("should report style problems in component scripts", () => {
+      const code = [
+        "<script>",
+        "let greeting = 'hi';",
+        "</script>",
+        "",
+        "<p>{greeting}</p>",
+        "",
+      ].join("\n")
+
+      const ruleIds = lintSvelte(code).map(m => m.ruleId)
+
+      assert.ok(ruleIds.includes("@stylistic/quotes"))
+      assert.ok(ruleIds.includes("@stylistic/semi"))
+    })
+  })
+})
@@ -0,0 +1,105 @@
+/**
+ * @file tauri.test.js - Tests for the tauri block
+ */
+
+import {describe, it} from "node:test"
+import assert from "node:assert/strict"
+import {Linter} from "eslint"
+import uglier from "../../src/uglier.js"
+
+const lint = (code, options = {}) => {
+  const linter = new Linter({configType: "flat"})
+  const configs = uglier({
+    with: ["lints-correctness", "tauri"],
+    options: {tauri: options},
+  })
+
+  return linter.verify(code, configs, "src/main.js")
+}
+
+const ruleIds = messages => messages.map(m => m.ruleId)
+
+describe("Tauri Configuration", () => {
+  describe("globals", () => {
+    it("should default to Tauri v2 without the global API", () => {
+      assert.deepEqual(lint("console.log(window.__TAURI_INTERNALS__)\n"), [])
+      assert.deepEqual(ruleIds(lint("console.log(__TAURI__)\n")), ["no-undef"])
+      assert.deepEqual(ruleIds(lint("console.log(__TAURI_METADATA__)\n")), ["no-undef"])
+    })
+
+    it("should provide __TAURI__ with withGlobalTauri", () => {
+      assert.deepEqual(lint("__TAURI__.core.invoke(\"greet\")\n", {withGlobalTauri: true}), [])
+    })
+
+    it("should provide the v1 globals for version 1", () => {
+      const code = "console.log(__TAURI_METADATA__, __TAURI_IPC__)\n"
+
+      assert.deepEqual(lint(code, {version: 1}), [])
+      assert.deepEqual(ruleIds(lint("console.log(__TAURI_INTERNALS__)\n", {version: 1})), ["no-undef"])
+      assert.deepEqual(lint("__TAURI__.invoke(\"greet\")\n", {version: 1, withGlobalTauri: true}), [])
+    })
+  })
+
+  describe("imports", () => {
+    it("should allow the Tauri API packages", () => {
+      const code = "import {invoke} from \"@tauri-apps/api/core\"\nimport {readTextFile} from \"@tauri-apps/plugin-fs\"\n\ninvoke(\"greet\", {text: readTextFile})\n"
+
+      assert.deepEqual(lint(code), [])
+    })
+
+    it("should report Node builtins", () => {
+      const code = [
+        "import fs from \"fs\"",
+        "import path from \"path\"",
+        "import {readFile} from \"node:fs/promises\"",
+        "",
+        "console.log(fs, path, readFile)",
+        "",
+      ].join("\n")
+      const messages = lint(code)
+
+      assert.deepEqual(ruleIds(messages), [
+        "no-restricted-imports",
+        "no-restricted-imports",
+        "no-restricted-imports",
+      ])
+      assert.match(messages[0].message, /@tauri-apps\/api/)
+    })
+
+    it("should allow builtins named like browser packages on npm", () => {
+      const code = [
+        "import {EventEmitter} from \"events\"",
+        "import {Buffer} from \"buffer\"",
+        "import util from \"util\"",
+        "import assert from \"assert\"",
+        "",
+        "console.log(EventEmitter, Buffer, util, assert)",
+        "",
+      ].join("\n")
+
+      assert.deepEqual(lint(code), [])
+    })
+
+    it("should still report the other builtins", () => {
+      const code = "import crypto from \"crypto\"\nimport {Readable} from \"stream\"\n\nconsole.log(crypto, Readable)\n"
+
+      assert.deepEqual(ruleIds(lint(code)), ["no-restricted-imports", "no-restricted-imports"])
+    })
+  })
+
+  describe("validation", () => {
+    it("should reject unsupported versions", () => {
+      assert.throws(
+        () => uglier({with: ["tauri"], options: {tauri: {version: 3}}}),
+        /Option "version" for config "tauri" must be one of 1, 2, got 3/
+      )
+    })
+
+    it("should reject a non-boolean withGlobalTauri", () => {
+      assert.throws(
+        () => uglier({with: ["tauri"], options: {tauri: {withGlobalTauri: "yes"}}}),
+        /"withGlobalTauri" for config "tauri" must be of type boolean/
+      )
+    })
+  })
+})
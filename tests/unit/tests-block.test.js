@@ -0,0 +1,131 @@
+/**
+ * @file tests-block.test.js - Tests for the test-file environment block
+ */
+
+import {describe, it} from "node:test"
+import assert from "node:assert/strict"
+import {Linter} from "eslint"
+import uglier from "../../src/uglier.js"
+
+const findConfig = (configs, name) =>
+  configs.find(c => c.name === `gesslar/uglier/${name}`)
+
+const lint = (code, filename, options = {}) => {
+  const linter = new Linter({configType: "flat"})
+  const configs = [
+    ...uglier(options),
+    {rules: {"no-undef": "error"}},
+  ]
+
+  return linter.verify(code, configs, filename)
+}
+
+describe("Tests Configuration", () => {
+  describe("tests config", () => {
+    it("should target tests/** and *.test.* files by default", () => {
+      const config = findConfig(uglier({with: ["tests"]}), "tests")
+
+      assert.deepEqual(config.files, ["tests/**", "**/*.test.*"])
+    })
+
+    it("should provide Node globals without framework globals for node:test", () => {
+      const {languageOptions} = findConfig(uglier({with: ["tests"]}), "tests")
+
+      assert.ok("process" in languageOptions.globals)
+      assert.ok(!("describe" in languageOptions.globals))
+    })
+
+    for(const [framework, global] of [
+      ["mocha", "before"],
+      ["jest", "jest"],
+      ["vitest", "vi"],
+    ]) {
+      it(`should provide ${framework} globals`, () => {
+        const {languageOptions} = findConfig(uglier({
+          with: ["tests"],
+          options: {tests: {framework}}
+        }), "tests")
+
+        assert.ok(global in languageOptions.globals)
+        assert.ok("describe" in languageOptions.globals)
+        assert.ok("process" in languageOptions.globals)
+      })
+    }
+
+    it("should resolve framework globals when linting", () => {
+      const code = "describe(\"x\", () => it(\"y\", () => expect(1).toBe(1)))\n"
+
+      assert.equal(lint(code, "tests/unit/x.test.js", {with: ["tests"]}).length, 3)
+      assert.deepEqual(lint(code, "tests/unit/x.test.js", {
+        with: ["tests"],
+        options: {tests: {framework: "jest"}}
+      }), [])
+    })
+
+    it("should reject unknown frameworks", () => {
+      assert.throws(
+        () => uglier({with: ["tests"], options: {tests: {framework: "jets"}}}),
+        /must be one of "node-test", "mocha", "jest", "vitest", "bun", got "jets". Did you mean "jest"\?/
+      )
+    })
+
+    it("should apply the lints-js style when lints-js is selected", () => {
+      const configs = uglier({with: ["lints-js", "tests"]})
+
+      assert.ok(findConfig(configs, "tests").rules["@stylistic/indent"])
+      assert.equal(findConfig(uglier({with: ["tests"]}), "tests").rules, undefined)
+    })
+
+    it("should keep the lints-js overrides for test files", () => {
+      const messages = lint("export const a = 1;\n", "src/a.test.js", {
+        with: ["lints-js", "tests"],
+        options: {
+          "lints-js": {
+            files: ["src/**/*.js"],
+            overrides: {"@stylistic/semi": ["error", "always"]},
+          },
+        },
+      })
+
+      assert.deepEqual(messages, [])
+    })
+  })
+
+  describe("lints-jsdoc integration", () => {
+    it("should not touch lints-jsdoc when tests is not selected", () => {
+      const configs = uglier({with: ["lints-jsdoc"]})
+
+      assert.equal(findConfig(configs, "lints-jsdoc/tests"), undefined)
+    })
+
+    it("should turn off JSDoc requirements for test files", () => {
+      const configs = uglier({with: ["lints-jsdoc", "tests"]})
+      const config = findConfig(configs, "lints-jsdoc/tests")
+
+      assert.deepEqual(config.files, ["tests/**", "**/*.test.*"])
+      assert.equal(config.rules["jsdoc/require-jsdoc"], "off")
+      assert.equal(config.rules["jsdoc/require-description"], "off")
+      assert.equal(config.rules["jsdoc/check-types"], undefined)
+    })
+
+    it("should follow custom tests files", () => {
+      const configs = uglier({
+        with: ["lints-jsdoc", "tests"],
+        options: {tests: {files: "spec/**"}}
+      })
+
+      assert.deepEqual(findConfig(configs, "lints-jsdoc/tests").files, ["spec/**"])
+    })
+
+    it("should not require JSDoc on exported test helpers", () => {
+      const code = "export function makeFixture() {\n  return 1\n}\n"
+      const options = {
+        with: ["lints-jsdoc", "tests"],
+        options: {"lints-jsdoc": {files: ["**/*.js"]}}
+      }
+
+      assert.deepEqual(lint(code, "tests/helpers/fixture.js", options), [])
+      assert.equal(lint(code, "src/fixture.js", options)[0].ruleId, "jsdoc/require-jsdoc")
+    })
+  })
+})
@@ -0,0 +1,104 @@
+/**
+ * @file userscript.test.js - Tests for the userscript block
+ */
+
+import {describe, it} from "node:test"
+import assert from "node:assert/strict"
+import {Linter} from "eslint"
+import uglier from "../../src/uglier.js"
+
+const header = (...keys) => [
+  "// ==UserScript==",
+  ...keys.map(key => `// @${key}`),
+  "// ==/UserScript==",
+  "",
+].join("\n")
+
+const HEADER = header(
+  "name         Example",
+  "match        https://example.com/*",
+  "version      1.0.0",
+  "grant        GM_getValue",
+)
+
+const lint = (code, filename = "scripts/example.user.js", options = {}) => {
+  const linter = new Linter({configType: "flat"})
+  const configs = uglier({
+    with: ["lints-correctness", "userscript"],
+    options: {userscript: options},
+  })
+
+  return linter.verify(code, configs, filename)
+}
+
+const ruleIds = messages => messages.map(m => m.ruleId)
+
+describe("Userscript Configuration", () => {
+  it("should default to .user.js files", () => {
+    const [config] = uglier({with: ["userscript"]})
+
+    assert.equal(config.name, "gesslar/uglier/userscript")
+    assert.deepEqual(config.files, ["**/*.user.js"])
+    assert.equal(config.languageOptions.sourceType, "script")
+  })
+
+  it("should provide GM and browser globals", () => {
+    const code = HEADER + [
+      "GM_setValue(\"seen\", GM_getValue(\"seen\", 0) + 1)",
+      "GM.xmlHttpRequest({url: location.href})",
+      "unsafeWindow.document.title = GM_info.script.name",
+      "",
+    ].join("\n")
+
+    assert.deepEqual(lint(code), [])
+  })
+
+  it("should not apply to other files", () => {
+    assert.deepEqual(ruleIds(lint("GM_log(1)\n", "src/index.js")), ["no-undef"])
+  })
+
+  describe("metadata header", () => {
+    it("should report a missing header", () => {
+      const messages = lint("GM_log(1)\n")
+
+      assert.deepEqual(ruleIds(messages), ["uglier/userscript-header"])
+      assert.match(messages[0].message, /==UserScript==/)
+    })
+
+    it("should report an unterminated header", () => {
+      const code = "// ==UserScript==\n// @name Example\n\nGM_log(1)\n"
+      const messages = lint(code)
+
+      assert.deepEqual(ruleIds(messages), ["uglier/userscript-header"])
+      assert.match(messages[0].message, /never closed/)
+    })
+
+    it("should report each missing required key", () => {
+      const code = header("name Example", "version", "match:de https://example.de/*") + "GM_log(1)\n"
+      const messages = lint(code)
+
+      assert.deepEqual(messages.map(m => m.message), [
+        "Metadata block is missing required key @match.",
+        "Metadata block is missing required key @version.",
+      ])
+      assert.equal(messages[0].line, 1)
+    })
+
+    it("should find a header that follows other comments", () => {
+      assert.deepEqual(lint("// Copyright example.com\n\n" + HEADER), [])
+    })
+
+    it("should accept custom required keys", () => {
+      const code = header("name Example", "include *") + "GM_log(1)\n"
+
+      assert.deepEqual(lint(code, undefined, {requiredKeys: ["name", "include"]}), [])
+    })
+
+    it("should reject required keys that aren't an array", () => {
+      assert.throws(
+        () => uglier({with: ["userscript"], options: {userscript: {requiredKeys: "name"}}}),
+        /"requiredKeys" for config "userscript"/
+      )
+    })
+  })
+})
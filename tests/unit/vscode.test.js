@@ -0,0 +1,177 @@
+/**
+ * @file vscode.test.js - Tests for the VSCode extension host and webview blocks
+ */
+
+import {describe, it, beforeEach, afterEach, mock} from "node:test"
+import assert from "node:assert/strict"
+import {Linter} from "eslint"
+import uglier, {availableConfigs} from "../../src/uglier.js"
+
+const VSCODE = ["vscode-extension-host", "vscode-webview"]
+
+const findConfig = (configs, name) =>
+  configs.find(c => c.name === `gesslar/uglier/${name}`)
+
+const lint = (code, filename) => {
+  const linter = new Linter({configType: "flat"})
+  const configs = uglier({with: ["lints-correctness", ...VSCODE]})
+
+  return linter.verify(code, configs, filename)
+}
+
+const ruleIds = messages => messages.map(m => m.ruleId)
+
+describe("VSCode Configuration", () => {
+  it("should give the host and webviews separate default files", () => {
+    const configs = uglier({with: VSCODE})
+
+    assert.deepEqual(findConfig(configs, "vscode-extension-host").files, ["src/**/*.{js,mjs,cjs}"])
+    assert.deepEqual(findConfig(configs, "vscode-webview").files, [
+      "media/**/*.{js,mjs}",
+      "webview-ui/src/**/*.{js,mjs,jsx}",
+    ])
+  })
+
+  describe("deprecated vscode-extension block", () => {
+    let warn
+
+    beforeEach(() => {
+      warn = mock.method(console, "warn", () => {})
+    })
+
+    afterEach(() => {
+      warn.mock.restore()
+    })
+
+    it("should keep the old block's globals", () => {
+      const configs = uglier({with: ["lints-js", "vscode-extension"]})
+      const config = findConfig(configs, "vscode-extension")
+
+      assert.deepEqual(configs.map(c => c.name), [
+        "gesslar/uglier/lints-js",
+        "gesslar/uglier/vscode-extension",
+      ])
+      assert.deepEqual(config.files, ["src/**/*.{js,mjs,cjs}"])
+      assert.deepEqual(config.languageOptions.globals, {acquireVsCodeApi: "readonly"})
+      assert.equal(config.rules, undefined)
+    })
+
+    it("should lint webview code in an old config as before", () => {
+      const linter = new Linter({configType: "flat"})
+      const configs = uglier({
+        with: ["lints-correctness", "web", "vscode-extension"],
+        options: {
+          "web": {files: ["src/webview/**/*.js"]},
+          "vscode-extension": {
+            files: ["src/webview/**/*.js"],
+            additionalGlobals: {MY_CONFIG: "readonly"},
+          },
+        },
+      })
+      const code = [
+        "const vscode = acquireVsCodeApi()",
+        "",
+        "document.body.addEventListener(\"click\", () => vscode.postMessage(MY_CONFIG))",
+        "",
+      ].join("\n")
+
+      assert.deepEqual(linter.verify(code, configs, "src/webview/main.js"), [])
+    })
+
+    it("should not select the blocks that replaced it", () => {
+      const names = uglier({with: ["vscode-extension"]}).map(c => c.name)
+
+      assert.ok(!names.includes("gesslar/uglier/vscode-extension-host"))
+      assert.ok(!names.includes("gesslar/uglier/vscode-webview"))
+    })
+
+    it("should be excluded with without", () => {
+      assert.deepEqual(uglier({with: ["lints-js", "vscode-extension"], without: ["vscode-extension"]}).map(c => c.name), [
+        "gesslar/uglier/lints-js",
+      ])
+    })
+
+    it("should warn that the name is deprecated, once", () => {
+      uglier({with: ["vscode-extension"]})
+      uglier({with: ["vscode-extension"]})
+
+      const messages = warn.mock.calls.map(call => call.arguments[0])
+
+      assert.ok(messages.length <= 1)
+      assert.ok(messages.every(message => message === "[uglier] \"vscode-extension\" is deprecated. Use \"vscode-extension-host\" and \"vscode-webview\" instead."))
+    })
+
+    it("should not be listed as a block", () => {
+      assert.ok(!availableConfigs.includes("vscode-extension"))
+    })
+  })
+
+  describe("vscode-extension-host config", () => {
+    it("should provide Node globals and allow the vscode module", () => {
+      const code = [
+        "const vscode = require(\"vscode\")",
+        "const path = require(\"node:path\")",
+        "",
+        "exports.activate = context => {",
+        "  vscode.window.showInformationMessage(path.join(__dirname, context.extensionPath))",
+        "}",
+        "",
+      ].join("\n")
+
+      assert.deepEqual(lint(code, "src/extension.cjs"), [])
+    })
+
+    it("should report DOM globals", () => {
+      const messages = lint("document.title = \"x\"\n", "src/extension.js")
+
+      assert.deepEqual(ruleIds(messages), ["no-restricted-globals", "no-undef"])
+      assert.match(messages[0].message, /Extension hosts have no DOM/)
+    })
+  })
+
+  describe("vscode-webview config", () => {
+    it("should provide browser globals and acquireVsCodeApi", () => {
+      const code = "const vscode = acquireVsCodeApi()\n\nwindow.addEventListener(\"message\", event => vscode.postMessage(event.data))\n"
+
+      assert.deepEqual(lint(code, "media/main.js"), [])
+    })
+
+    it("should report require", () => {
+      const messages = lint("const fs = require(\"fs\")\n\nconsole.log(fs)\n", "media/main.js")
+
+      assert.deepEqual(ruleIds(messages), ["no-restricted-globals"])
+      assert.match(messages[0].message, /postMessage/)
+    })
+
+    it("should report imports of vscode and Node builtins", () => {
+      const code = [
+        "import * as vscode from \"vscode\"",
+        "import {join} from \"node:path\"",
+        "import fs from \"fs\"",
+        "",
+        "console.log(vscode, join, fs)",
+        "",
+      ].join("\n")
+
+      assert.deepEqual(ruleIds(lint(code, "webview-ui/src/main.js")), [
+        "no-restricted-imports",
+        "no-restricted-imports",
+        "no-restricted-imports",
+      ])
+    })
+
+    it("should report every Node builtin, not only server-only ones", () => {
+      const code = [
+        "import crypto from \"crypto\"",
+        "import zlib from \"zlib\"",
+        "import {EventEmitter} from \"events\"",
+        "import {Buffer} from \"buffer\"",
+        "",
+        "console.log(crypto, zlib, EventEmitter, Buffer)",
+        "",
+      ].join("\n")
+
+      assert.deepEqual(ruleIds(lint(code, "media/main.js")), Array(4).fill("no-restricted-imports"))
+    })
+  })
+})
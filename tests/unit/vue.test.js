@@ -0,0 +1,112 @@
+/**
+ * @file vue.test.js - Tests for the Vue single-file component block
+ */
+
+import {describe, it} from "node:test"
+import assert from "node:assert/strict"
+import {Linter} from "eslint"
+import uglier from "../../src/uglier.js"
+
+const findVue = configs => configs.find(c => c.name === "gesslar/uglier/vue")
+
+const lintVue = (code, options = {with: ["lints-js", "vue"]}) => {
+  const linter = new Linter({configType: "flat"})
+
+  return linter.verify(code, uglier(options), "src/App.vue")
+}
+
+describe("Vue Configuration", () => {
+  describe("vue config", () => {
+    it("should use the Vue parser for .vue files", () => {
+      const config = findVue(uglier({with: ["vue"]}))
+
+      assert.deepEqual(config.files, ["src/**/*.vue"])
+      assert.equal(typeof config.languageOptions.parser.parseForESLint, "function")
+    })
+
+    it("should include browser globals and Vue compiler macros", () => {
+      const {globals} = findVue(uglier({with: ["vue"]})).languageOptions
+
+      assert.notEqual(globals.window, undefined)
+      assert.notEqual(globals.defineProps, undefined)
+      assert.notEqual(globals.defineEmits, undefined)
+    })
+
+    it("should support files, ignores and additionalGlobals", () => {
+      const config = findVue(uglier({
+        with: ["vue"],
+        options: {
+          vue: {
+            files: "app/**/*.vue",
+            ignores: ["app/legacy/**"],
+            additionalGlobals: {__APP_VERSION__: "readonly"},
+          },
+        },
+      }))
+
+      assert.deepEqual(config.files, ["app/**/*.vue"])
+      assert.deepEqual(config.ignores, ["app/legacy/**"])
+      assert.equal(config.languageOptions.globals.__APP_VERSION__, "readonly")
+    })
+
+    it("should carry the lints-js style when lints-js is selected", () => {
+      const config = findVue(uglier({
+        with: ["lints-js", "vue"],
+        options: {"lints-js": {indent: 4}},
+      }))
+
+      assert.ok(config.plugins["@stylistic"])
+      assert.equal(config.rules["@stylistic/indent"][1], 4)
+    })
+
+    it("should carry the lints-js overrides", () => {
+      const config = findVue(uglier({
+        with: ["lints-js", "vue"],
+        options: {"lints-js": {overrides: {"@stylistic/semi": ["error", "always"]}}},
+      }))
+
+      assert.deepEqual(config.rules["@stylistic/semi"], ["error", "always"])
+    })
+
+    it("should not add stylistic rules without lints-js", () => {
+      const config = findVue(uglier({with: ["vue"]}))
+
+      assert.equal(config.rules, undefined)
+      assert.equal(config.plugins, undefined)
+    })
+  })
+
+  describe("linting single-file components", () => {
+    it("should accept a component written in the house style", () => {
+      const code = [
+        "<template>",
+        "  <p>{{ message }}</p>",
+        "</template>",
+        "",
+        "<script setup>",
+        "const props = defineProps({message: String})",
+        "",
+        "console.log(props, window.location)",
+        "</script>",
+        "",
+      ].join("\n")
+
+      assert.deepEqual(lintVue(code), [])
+    })
+
+    it("should report style problems inside <script>", () => {
+      const code = [
+        "<script setup>",
+        "const message = 'hello';",
+        "console.log(message)",
+        "</script>",
+        "",
+      ].join("\n")
+
+      const ruleIds = lintVue(code).map(m => m.ruleId)
+
+      assert.ok(ruleIds.includes("@stylistic/quotes"))
+      assert.ok(ruleIds.includes("@stylistic/semi"))
+    })
+  })
+})
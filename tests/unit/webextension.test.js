@@ -0,0 +1,115 @@
+/**
+ * @file webextension.test.js - Tests for the webextension block
+ */
+
+import {describe, it} from "node:test"
+import assert from "node:assert/strict"
+import {Linter} from "eslint"
+import uglier from "../../src/uglier.js"
+
+const findConfig = (configs, name) =>
+  configs.find(c => c.name === `gesslar/uglier/${name}`)
+
+const lint = (code, filename, options = {}) => {
+  const linter = new Linter({configType: "flat"})
+  const configs = uglier({
+    with: ["lints-correctness", "webextension"],
+    options: {webextension: options},
+  })
+
+  return linter.verify(code, configs, filename)
+}
+
+const ruleIds = messages => messages.map(m => m.ruleId)
+
+describe("WebExtension Configuration", () => {
+  it("should give each context its own default files", () => {
+    const configs = uglier({with: ["webextension"]})
+
+    assert.deepEqual(findConfig(configs, "webextension").files, ["src/popup/**/*.{js,mjs,cjs}"])
+    assert.deepEqual(findConfig(configs, "webextension/background").files, ["src/background/**/*.{js,mjs,cjs}"])
+    assert.deepEqual(findConfig(configs, "webextension/content-scripts").files, ["src/content/**/*.{js,mjs,cjs}"])
+  })
+
+  it("should accept custom file groups", () => {
+    const configs = uglier({
+      with: ["webextension"],
+      options: {
+        webextension: {
+          files: "popup/*.js",
+          background: "background.js",
+          contentScripts: ["content/*.js"],
+          ignores: "vendor/**",
+        },
+      },
+    })
+
+    assert.deepEqual(findConfig(configs, "webextension").files, ["popup/*.js"])
+    assert.deepEqual(findConfig(configs, "webextension/background").files, ["background.js"])
+    assert.deepEqual(findConfig(configs, "webextension/content-scripts").files, ["content/*.js"])
+    assert.deepEqual(findConfig(configs, "webextension/background").ignores, ["vendor/**"])
+  })
+
+  it("should reject a background group of the wrong type", () => {
+    assert.throws(
+      () => uglier({with: ["webextension"], options: {webextension: {background: 1}}}),
+      /"background" for config "webextension"/
+    )
+  })
+
+  describe("popup", () => {
+    it("should provide browser and extension globals", () => {
+      const code = "chrome.tabs.query({active: true}).then(tabs => {\n  document.title = tabs[0].title\n})\n"
+
+      assert.deepEqual(lint(code, "src/popup/popup.js"), [])
+    })
+  })
+
+  describe("background", () => {
+    it("should provide service worker and extension globals", () => {
+      const code = "self.addEventListener(\"install\", () => browser.action.setBadgeText({text: \"1\"}))\n"
+
+      assert.deepEqual(lint(code, "src/background/index.js"), [])
+    })
+
+    it("should not provide the DOM", () => {
+      assert.deepEqual(ruleIds(lint("document.title = \"x\"\n", "src/background/index.js")), ["no-undef"])
+    })
+  })
+
+  describe("content scripts", () => {
+    it("should allow the APIs content scripts can use", () => {
+      const code = [
+        "chrome.runtime.sendMessage({title: document.title})",
+        "browser.storage.local.set({seen: true})",
+        "console.log(chrome.i18n.getMessage(\"hello\"))",
+        "",
+      ].join("\n")
+
+      assert.deepEqual(lint(code, "src/content/index.js"), [])
+    })
+
+    it("should report extension-only APIs", () => {
+      const code = [
+        "chrome.tabs.query({})",
+        "browser.windows.getCurrent()",
+        "const {scripting} = chrome",
+        "",
+        "console.log(scripting)",
+        "",
+      ].join("\n")
+      const messages = lint(code, "src/content/index.js")
+
+      assert.deepEqual(ruleIds(messages), [
+        "no-restricted-properties",
+        "no-restricted-properties",
+        "no-restricted-properties",
+      ])
+      assert.match(messages[0].message, /runtime\.sendMessage/)
+    })
+
+    it("should leave extension-only APIs alone elsewhere", () => {
+      assert.deepEqual(lint("chrome.tabs.query({})\n", "src/background/index.js"), [])
+    })
+  })
+})
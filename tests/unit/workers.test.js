@@ -0,0 +1,86 @@
+/**
+ * @file workers.test.js - Tests for the worker environment blocks
+ */
+
+import {describe, it} from "node:test"
+import assert from "node:assert/strict"
+import {Linter} from "eslint"
+import uglier from "../../src/uglier.js"
+
+const findConfig = (configs, name) =>
+  configs.find(c => c.name === `gesslar/uglier/${name}`)
+
+const lint = (code, block, filename) => {
+  const linter = new Linter({configType: "flat"})
+
+  return linter.verify(code, uglier({with: [block]}), filename)
+}
+
+const restricted = messages =>
+  messages.filter(m => m.ruleId === "no-restricted-globals")
+
+const domCode = [
+  "document.title = \"x\"",
+  "window.localStorage.setItem(\"a\", \"b\")",
+  "const {top} = {top: 1}",
+  "",
+  "self.postMessage(top)",
+  "",
+].join("\n")
+
+const cases = [
+  ["worker", "src/workers/resize.js", "Web Workers"],
+  ["service-worker", "public/sw.js", "Service Workers"],
+  ["edge-worker", "src/index.js", "Edge workers"],
+]
+
+describe("Worker Configurations", () => {
+  for(const [block, filename, runtime] of cases) {
+    describe(`${block} config`, () => {
+      it("should not provide browser DOM globals", () => {
+        const {languageOptions} = findConfig(uglier({with: [block]}), block)
+
+        assert.ok("self" in languageOptions.globals)
+        assert.ok("fetch" in languageOptions.globals)
+        assert.ok(!("document" in languageOptions.globals))
+        assert.ok(!("window" in languageOptions.globals))
+      })
+
+      it("should report DOM-only globals as errors", () => {
+        const messages = restricted(lint(domCode, block, filename))
+
+        assert.equal(messages.length, 2)
+        assert.equal(messages[0].severity, 2)
+        assert.match(messages[0].message, /'document'/)
+        assert.match(messages[0].message, new RegExp(`${runtime} have no DOM`))
+        assert.match(messages[1].message, /'window'/)
+      })
+    })
+  }
+
+  it("should provide service worker lifecycle globals", () => {
+    const {languageOptions} = findConfig(
+      uglier({with: ["service-worker"]}),
+      "service-worker"
+    )
+
+    assert.ok("clients" in languageOptions.globals)
+    assert.ok("skipWaiting" in languageOptions.globals)
+  })
+
+  it("should provide edge runtime extras", () => {
+    const {languageOptions} = findConfig(
+      uglier({with: ["edge-worker"]}),
+      "edge-worker"
+    )
+
+    assert.equal(languageOptions.globals.HTMLRewriter, "readonly")
+    assert.equal(languageOptions.globals.WebSocketPair, "readonly")
+  })
+
+  it("should not touch files outside the worker patterns", () => {
+    const messages = restricted(lint(domCode, "worker", "src/app.js"))
+
+    assert.deepEqual(messages, [])
+  })
+})